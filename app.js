@@ -4,10 +4,13 @@ const dotenv = require('dotenv');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsDoc = require('swagger-jsdoc');
 const connectDB = require('./config/database');
+const { checkMailConfig } = require('./services/mailer');
 
 // Load env vars
 dotenv.config();
 
+checkMailConfig();
+
 connectDB();
 
 // Import routes
@@ -15,6 +18,11 @@ const userRoutes = require('./routes/userRoutes');
 const projectRoutes = require('./routes/projectRoutes');
 const taskRoutes = require('./routes/taskRoutes');
 const authRoutes = require('./routes/authRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const webhooks = require('./services/webhooks');
+const scheduler = require('./services/scheduler');
+require('./services/jobs');
 
 const app = express();
 
@@ -64,6 +72,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+
+// Deliver domain events to registered webhooks
+webhooks.init();
+
+// Background jobs run here unless a standalone worker (npm run worker) takes care of them
+if (process.env.RUN_SCHEDULER !== 'false') {
+  scheduler.start();
+}
 
 
 
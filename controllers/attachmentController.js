@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { can, isArchived } = require('../utils/permissions');
+const { recordActivity } = require('../services/activity');
+const { publish } = require('../services/events');
+const { putFile, getFileStream, removeFile } = require('../services/storage');
+
+const findTaskWithAccess = async (req, res, action) => {
+  const task = mongoose.Types.ObjectId.isValid(req.params.id) && await Task.findById(req.params.id);
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return {};
+  }
+
+  const project = await Project.findById(task.project);
+  if (!can(project, req.user, action)) {
+    res.status(403).json({
+      success: false,
+      message: action === 'task:view' ? 'Not authorized to access this task' : 'Not authorized to update this task'
+    });
+    return {};
+  }
+
+  return { task, project };
+};
+
+// Storage keys never contain user input besides a sanitized extension
+const buildStorageKey = (task, originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${task.project}/${task._id}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+const attachmentSummary = (attachment) => ({
+  _id: attachment._id.toString(),
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size
+});
+
+
+const getAttachments = async (req, res) => {
+  try {
+    const { task } = await findTaskWithAccess(req, res, 'task:view');
+    if (!task) return;
+
+    await task.populate('attachments.uploadedBy', 'username firstName lastName');
+
+    res.json({
+      success: true,
+      data: task.attachments
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachments',
+      error: error.message
+    });
+  }
+};
+
+
+const uploadAttachment = async (req, res) => {
+  try {
+    const { task, project } = await findTaskWithAccess(req, res, 'task:update');
+    if (!task) return;
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required in the "file" field'
+      });
+    }
+
+    const key = buildStorageKey(task, req.file.originalname);
+    await putFile(key, req.file.buffer, { contentType: req.file.mimetype });
+
+    task.attachments.push({
+      key,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: req.user._id
+    });
+
+    try {
+      await task.save();
+    } catch (error) {
+      // Do not leave orphan files behind when the metadata could not be stored
+      await removeFile(key).catch(removeError => console.error('Error removing stored file:', removeError));
+      throw error;
+    }
+
+    const attachment = task.attachments[task.attachments.length - 1];
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'attachment_added',
+      changes: [{ field: 'attachments', oldValue: null, newValue: attachmentSummary(attachment) }]
+    });
+
+    publish('task.updated', { project, actor: req.user, data: task, changes: [{ field: 'attachments' }] });
+
+    res.status(201).json({
+      success: true,
+      data: attachment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading attachment',
+      error: error.message
+    });
+  }
+};
+
+
+const downloadAttachment = async (req, res) => {
+  try {
+    const { task } = await findTaskWithAccess(req, res, 'task:view');
+    if (!task) return;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getFileStream(attachment.key);
+    } catch (error) {
+      console.error(error);
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file not found'
+      });
+    }
+
+    res.attachment(attachment.originalName);
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading attachment',
+      error: error.message
+    });
+  }
+};
+
+
+// The uploader can remove their own files; removing anyone's requires task:delete
+const deleteAttachment = async (req, res) => {
+  try {
+    const { task, project } = await findTaskWithAccess(req, res, 'task:update');
+    if (!task) return;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const isUploader = attachment.uploadedBy && attachment.uploadedBy.toString() === req.user._id.toString();
+    if (!isUploader && !can(project, req.user, 'task:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this attachment'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const summary = attachmentSummary(attachment);
+    attachment.deleteOne();
+    await task.save();
+    await removeFile(attachment.key);
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'attachment_removed',
+      changes: [{ field: 'attachments', oldValue: summary, newValue: null }]
+    });
+
+    publish('task.updated', { project, actor: req.user, data: task, changes: [{ field: 'attachments' }] });
+
+    res.json({
+      success: true,
+      message: 'Attachment removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
\ No newline at end of file
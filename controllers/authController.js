@@ -1,10 +1,41 @@
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const {
+  issueTokens,
+  createRefreshToken,
+  generateAccessToken,
+  findRefreshToken,
+  claimRefreshToken,
+  revokeUserSessions,
+  createUserToken,
+  consumeUserToken
+} = require('../utils/tokens');
+const { sendMail } = require('../services/mailer');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email_verification');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verifica tu correo electrónico',
+    text: `Hola ${user.firstName},\n\n` +
+      `Confirma tu cuenta usando este token: ${token}\n` +
+      `O visita: ${APP_URL}/verify-email?token=${token}\n\n` +
+      'El enlace expira en 24 horas.'
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user._id, 'password_reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña',
+    text: `Hola ${user.firstName},\n\n` +
+      `Usa este token para restablecer tu contraseña: ${token}\n` +
+      `O visita: ${APP_URL}/reset-password?token=${token}\n\n` +
+      'El enlace expira en 1 hora. Si no lo solicitaste, ignora este mensaje.'
   });
 };
 
@@ -42,8 +73,17 @@ const register = async (req, res) => {
 
     if (user) {
       console.log('User created with role:', user.role);
+
+      // The account exists even if the email fails; the user can ask for a new one
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+
       res.status(201).json({
         success: true,
+        message: 'User created. Check your email to verify your account',
         data: {
           _id: user._id,
           username: user.username,
@@ -51,7 +91,7 @@ const register = async (req, res) => {
           firstName: user.firstName,
           lastName: user.lastName,
           role: user.role,
-          token: generateToken(user._id)
+          emailVerified: user.emailVerified
         }
       });
     }
@@ -71,9 +111,18 @@ const login = async (req, res) => {
     const { email, password } = req.body;
 
     // Check for user email
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email, deletedAt: null });
 
     if (user && (await user.comparePassword(password))) {
+      if (!user.emailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email before logging in'
+        });
+      }
+
+      const tokens = await issueTokens(user, req);
+
       res.json({
         success: true,
         data: {
@@ -83,7 +132,7 @@ const login = async (req, res) => {
           firstName: user.firstName,
           lastName: user.lastName,
           role: user.role,
-          token: generateToken(user._id)
+          ...tokens
         }
       });
     } else {
@@ -135,8 +184,273 @@ const getProfile = async (req, res) => {
   }
 };
 
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const storedToken = await claimRefreshToken(refreshToken);
+
+    if (!storedToken) {
+      const existingToken = await findRefreshToken(refreshToken);
+
+      if (!existingToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
+
+      // A rotated token being replayed means it leaked: kill every session of the user
+      if (existingToken.revokedAt) {
+        await revokeUserSessions(existingToken.user);
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has been revoked'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has expired'
+      });
+    }
+
+    const user = await User.findById(storedToken.user);
+
+    if (!user || user.deletedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { token: newRefreshToken, refreshToken: newStoredToken } = await createRefreshToken(user, req);
+
+    storedToken.replacedBy = newStoredToken._id;
+    await storedToken.save();
+
+    res.json({
+      success: true,
+      data: {
+        token: generateAccessToken(user),
+        refreshToken: newRefreshToken
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
+
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const storedToken = await findRefreshToken(refreshToken);
+
+    if (storedToken && !storedToken.revokedAt) {
+      storedToken.revokedAt = new Date();
+      await storedToken.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during logout',
+      error: error.message
+    });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const userToken = await consumeUserToken(token, 'email_verification');
+
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    await User.updateOne(
+      { _id: userToken.user },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Email verified'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+
+// Always answers the same way so the endpoint cannot be used to discover accounts
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user && !user.deletedAt && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists and is not verified, a new email has been sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user && !user.deletedAt) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists, a password reset email has been sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is required'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const userToken = await consumeUserToken(token, 'password_reset');
+    const user = userToken && await User.findOne({ _id: userToken.user, deletedAt: null });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Receiving the reset email also proves the user owns the address
+    user.password = password;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeUserSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
-  getProfile
+  getProfile,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
 }; 
\ No newline at end of file
@@ -0,0 +1,248 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { can, isArchived } = require('../utils/permissions');
+const { parseTaskQuery } = require('../utils/taskQuery');
+const { getCustomFields } = require('../utils/customFields');
+const { getWorkflow, checkTransition } = require('../utils/workflow');
+const { recordActivity } = require('../services/activity');
+const { isBlockedTransition, findOpenBlockers } = require('../services/taskDependencies');
+const { rankForPosition } = require('../services/board');
+const { notifyStatusChange } = require('../services/notifications');
+const { publish } = require('../services/events');
+const { recordTransition } = require('../services/transitions');
+const { spawnNextOccurrence } = require('../services/recurrence');
+
+const DEFAULT_COLUMN_LIMIT = 100;
+const MAX_COLUMN_LIMIT = 500;
+
+
+// One column per workflow status, tasks ordered by rank. Accepts the same filters as the task list
+const getBoard = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const { filter, errors } = parseTaskQuery(
+      { ...req.query, page: undefined, limit: undefined, sort: undefined },
+      req.user,
+      { customFields: getCustomFields(project) }
+    );
+    const limit = req.query.limit === undefined ? DEFAULT_COLUMN_LIMIT : parseInt(req.query.limit, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COLUMN_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_COLUMN_LIMIT}`);
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    filter.project = project._id;
+    const workflow = getWorkflow(project);
+
+    const columns = await Promise.all(workflow.statuses.map(async (status) => {
+      const columnFilter = { ...filter, status: status.key };
+
+      const [tasks, total] = await Promise.all([
+        Task.find(columnFilter)
+          .populate('assignedTo', 'username email')
+          .sort({ rank: 1, createdAt: 1, _id: 1 })
+          .limit(limit),
+        Task.countDocuments(columnFilter)
+      ]);
+
+      return {
+        key: status.key,
+        name: status.name,
+        category: status.category,
+        total,
+        tasks
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name },
+        columns
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching board',
+      error: error.message
+    });
+  }
+};
+
+
+// Changes status and position in one write so the board never sees a half-applied move
+const moveTask = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!can(project, req.user, 'task:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { status = task.status, position, force } = req.body;
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'position must be a non-negative integer'
+      });
+    }
+
+    const transition = checkTransition(getWorkflow(project), task.status, status);
+
+    if (transition.error) {
+      return res.status(400).json({
+        success: false,
+        message: transition.error
+      });
+    }
+
+    const nextStatus = transition.status;
+
+    if (status !== task.status && isBlockedTransition(nextStatus.category)) {
+      const openBlockers = await findOpenBlockers(task);
+
+      if (openBlockers.length) {
+        if (!force) {
+          return res.status(409).json({
+            success: false,
+            message: 'Task is blocked by open tasks',
+            blockers: openBlockers
+          });
+        }
+
+        if (!can(project, req.user, 'task:forceTransition')) {
+          return res.status(403).json({
+            success: false,
+            message: 'Not authorized to force a blocked task'
+          });
+        }
+      }
+    }
+
+    const rank = await rankForPosition(project._id, nextStatus.key, task._id, position);
+
+    // Only applies if nobody changed the task's status in the meantime
+    const movedTask = await Task.findOneAndUpdate(
+      { _id: task._id, status: task.status },
+      {
+        $set: {
+          status: nextStatus.key,
+          statusCategory: nextStatus.category,
+          rank,
+          completedAt: nextStatus.category === 'done' ? (task.completedAt || new Date()) : null
+        }
+      },
+      { new: true }
+    ).populate('assignedTo', 'username email');
+
+    if (!movedTask) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task was modified by someone else, reload the board and try again'
+      });
+    }
+
+    if (task.status !== movedTask.status) {
+      await recordActivity({
+        entityType: 'task',
+        entity: movedTask,
+        project,
+        actor: req.user,
+        action: 'updated',
+        changes: [{ field: 'status', oldValue: task.status, newValue: movedTask.status }]
+      });
+      await recordTransition({
+        task: movedTask,
+        project,
+        from: task.status,
+        to: movedTask.status,
+        fromCategory: task.statusCategory,
+        toCategory: movedTask.statusCategory,
+        actor: req.user
+      });
+      await notifyStatusChange(movedTask, project, req.user, task.status);
+
+      if (movedTask.statusCategory === 'done' && task.statusCategory !== 'done') {
+        await spawnNextOccurrence(movedTask, req.user);
+      }
+    }
+
+    // Reordering inside a column is not a status change; listeners get it as its own event
+    if (task.status !== movedTask.status) {
+      publish('task.updated', {
+        project,
+        actor: req.user,
+        data: movedTask,
+        changes: [{ field: 'status', oldValue: task.status, newValue: movedTask.status }, { field: 'rank' }]
+      });
+    } else {
+      publish('task.reordered', {
+        project,
+        actor: req.user,
+        data: movedTask,
+        changes: [{ field: 'rank', oldValue: task.rank, newValue: movedTask.rank }]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: movedTask
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moving task',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBoard,
+  moveTask
+};
\ No newline at end of file
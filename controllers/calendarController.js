@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { can } = require('../utils/permissions');
+const { parseTaskQuery } = require('../utils/taskQuery');
+const { createCalendarToken, revokeCalendarToken, findUserByCalendarToken } = require('../utils/tokens');
+const { COMPONENT_TYPES, findFeedTasks, buildTaskCalendar } = require('../services/calendar');
+
+const feedUrls = (req, token) => {
+  const base = `${req.protocol}://${req.get('host')}/api/calendar/${token}`;
+  return {
+    tasks: `${base}/tasks.ics`,
+    project: `${base}/projects/{projectId}.ics`
+  };
+};
+
+// Feeds accept the task list filters; `type` picks VEVENT (default) or VTODO entries
+const parseFeedQuery = (req, user) => {
+  const { type = 'event', ...query } = req.query;
+  const { filter, errors } = parseTaskQuery({ ...query, page: undefined, limit: undefined, sort: undefined }, user);
+
+  if (!COMPONENT_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${COMPONENT_TYPES.join(', ')}`);
+  }
+
+  return { filter, type, errors };
+};
+
+const sendCalendar = (res, calendar) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(calendar);
+};
+
+const findFeedUser = async (req, res) => {
+  const user = await findUserByCalendarToken(req.params.token);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'Calendar feed not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+
+const getCalendarToken = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(req.user.calendarTokenCreatedAt),
+        createdAt: req.user.calendarTokenCreatedAt || null
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed settings',
+      error: error.message
+    });
+  }
+};
+
+
+// Creates the feed token, or replaces it if it leaked. The token is only shown once
+const regenerateCalendarToken = async (req, res) => {
+  try {
+    const token = await createCalendarToken(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        urls: feedUrls(req, token)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed token',
+      error: error.message
+    });
+  }
+};
+
+
+const deleteCalendarToken = async (req, res) => {
+  try {
+    await revokeCalendarToken(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Calendar feeds disabled'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling calendar feeds',
+      error: error.message
+    });
+  }
+};
+
+
+// Tasks assigned to the token's owner, like GET /api/tasks/my-tasks
+const getTasksFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req, res);
+    if (!user) return;
+
+    const { filter, type, errors } = parseFeedQuery(req, user);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    filter.assignedTo = user._id;
+    const tasks = await findFeedTasks(filter);
+
+    sendCalendar(res, buildTaskCalendar(tasks, {
+      name: `Tasks of ${user.username}`,
+      description: 'Due dates of the tasks assigned to you',
+      type
+    }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed',
+      error: error.message
+    });
+  }
+};
+
+
+const getProjectFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req, res);
+    if (!user) return;
+
+    const project = mongoose.Types.ObjectId.isValid(req.params.projectId) &&
+      await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Access is checked on every refresh, so feeds stop working for removed members
+    if (!can(project, user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const { filter, type, errors } = parseFeedQuery(req, user);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    filter.project = project._id;
+    const tasks = await findFeedTasks(filter);
+
+    sendCalendar(res, buildTaskCalendar(tasks, {
+      name: project.name,
+      description: project.description,
+      type
+    }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCalendarToken,
+  regenerateCalendarToken,
+  deleteCalendarToken,
+  getTasksFeed,
+  getProjectFeed
+};
\ No newline at end of file
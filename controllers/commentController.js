@@ -0,0 +1,426 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { can, isArchived } = require('../utils/permissions');
+const { parsePagination, buildPagination } = require('../utils/taskQuery');
+const { recordActivity } = require('../services/activity');
+const { notifyComment } = require('../services/notifications');
+const { resolveMentions, notifyNewMentions } = require('../services/mentions');
+const { publish } = require('../services/events');
+
+const findTaskWithProject = async (taskId) => {
+  if (!mongoose.Types.ObjectId.isValid(taskId)) return {};
+
+  const task = await Task.findById(taskId);
+  if (!task) return {};
+
+  const project = await Project.findById(task.project);
+  return { task, project };
+};
+
+// Deleted comments keep their place in the thread but not their content
+const serializeComment = (comment, replyCount) => {
+  const data = comment.toObject();
+  delete data.editHistory;
+
+  if (comment.deletedAt) {
+    data.text = null;
+  }
+  if (replyCount !== undefined) {
+    data.replyCount = replyCount;
+  }
+  return data;
+};
+
+const countReplies = async (comments) => {
+  const counts = await Comment.aggregate([
+    { $match: { parent: { $in: comments.map(comment => comment._id) } } },
+    { $group: { _id: '$parent', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((result, { _id, count }) => {
+    result[_id.toString()] = count;
+    return result;
+  }, {});
+};
+
+
+// Lists top-level comments, or the replies of `parent` when given
+const getComments = async (req, res) => {
+  try {
+    const { task, project } = await findTaskWithProject(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const errors = [];
+    const pagination = parsePagination(req.query, errors);
+
+    if (req.query.parent && !mongoose.Types.ObjectId.isValid(req.query.parent)) {
+      errors.push(`Invalid parent comment id: ${req.query.parent}`);
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const filter = { task: task._id, parent: req.query.parent || null };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(filter)
+        .populate('author', 'username email')
+        .sort({ createdAt: 1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Comment.countDocuments(filter)
+    ]);
+
+    const replyCounts = await countReplies(comments);
+
+    res.json({
+      success: true,
+      data: comments.map(comment => serializeComment(comment, replyCounts[comment._id.toString()] || 0)),
+      pagination: buildPagination(pagination, total)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message
+    });
+  }
+};
+
+
+const getCommentById = async (req, res) => {
+  try {
+    const { task, project } = await findTaskWithProject(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId) &&
+      await Comment.findOne({ _id: req.params.commentId, task: task._id })
+        .populate('author', 'username email');
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const data = serializeComment(comment);
+    data.editHistory = comment.deletedAt ? [] : comment.editHistory;
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comment',
+      error: error.message
+    });
+  }
+};
+
+
+const createComment = async (req, res) => {
+  try {
+    const { task, project } = await findTaskWithProject(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:comment')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to comment on this task'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { text, parentId } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required'
+      });
+    }
+
+    let parent = null;
+
+    if (parentId) {
+      parent = mongoose.Types.ObjectId.isValid(parentId) &&
+        await Comment.findOne({ _id: parentId, task: task._id });
+
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent comment not found in this task'
+        });
+      }
+    }
+
+    const mentioned = await resolveMentions(text, project);
+
+    if (mentioned.nonMembers.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Mentioned users are not members of this project: ${mentioned.nonMembers.join(', ')}`
+      });
+    }
+
+    const comment = await Comment.create({
+      task: task._id,
+      project: project._id,
+      author: req.user._id,
+      parent: parentId || null,
+      text,
+      mentions: mentioned.users
+    });
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'comment_added',
+      changes: [{ field: 'comments', oldValue: null, newValue: comment._id.toString() }]
+    });
+
+    await notifyComment(comment, task, project, req.user, parent && parent.author);
+    await notifyNewMentions({ mentions: comment.mentions, actor: req.user, project, task, comment });
+
+    await comment.populate('author', 'username email');
+
+    publish('comment.added', { project, actor: req.user, data: serializeComment(comment) });
+
+    res.status(201).json({
+      success: true,
+      data: serializeComment(comment, 0)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment',
+      error: error.message
+    });
+  }
+};
+
+
+// Only the author can edit a comment
+const updateComment = async (req, res) => {
+  try {
+    const { task, project } = await findTaskWithProject(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId) &&
+      await Comment.findOne({ _id: req.params.commentId, task: task._id, deletedAt: null });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString() ||
+        !can(project, req.user, 'task:comment')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required'
+      });
+    }
+
+    const mentioned = await resolveMentions(text, project);
+
+    if (mentioned.nonMembers.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Mentioned users are not members of this project: ${mentioned.nonMembers.join(', ')}`
+      });
+    }
+
+    const previousMentions = [...comment.mentions];
+
+    comment.editHistory.push({ text: comment.text, editedAt: new Date() });
+    comment.text = text;
+    comment.mentions = mentioned.users;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'comment_edited',
+      changes: [{ field: 'comments', oldValue: comment._id.toString(), newValue: comment._id.toString() }]
+    });
+
+    await notifyNewMentions({ mentions: comment.mentions, previous: previousMentions, actor: req.user, project, task, comment });
+
+    await comment.populate('author', 'username email');
+
+    publish('comment.updated', { project, actor: req.user, data: serializeComment(comment) });
+
+    res.json({
+      success: true,
+      data: serializeComment(comment)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+};
+
+
+// The author can delete their comment; the project owner can delete any comment
+const deleteComment = async (req, res) => {
+  try {
+    const { task, project } = await findTaskWithProject(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId) &&
+      await Comment.findOne({ _id: req.params.commentId, task: task._id, deletedAt: null });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const isAuthor = comment.author.toString() === req.user._id.toString() &&
+      can(project, req.user, 'task:comment');
+
+    if (!isAuthor && !can(project, req.user, 'comment:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    comment.text = '';
+    comment.mentions = [];
+    comment.editHistory = [];
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'comment_deleted',
+      changes: [{ field: 'comments', oldValue: comment._id.toString(), newValue: null }]
+    });
+
+    publish('comment.deleted', { project, actor: req.user, data: { _id: comment._id, task: task._id } });
+
+    res.json({
+      success: true,
+      message: 'Comment removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  getCommentById,
+  createComment,
+  updateComment,
+  deleteComment
+};
\ No newline at end of file
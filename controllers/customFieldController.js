@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { can, isArchived } = require('../utils/permissions');
+const { SELECT_TYPES, getCustomFields, findField, validateFieldDefinition } = require('../utils/customFields');
+const { recordActivity, recordActivities } = require('../services/activity');
+const { publish } = require('../services/events');
+
+const findProjectForFields = async (req, res, action) => {
+  const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  if (!can(project, req.user, action)) {
+    res.status(403).json({
+      success: false,
+      message: action === 'project:view'
+        ? 'Not authorized to access this project'
+        : 'Not authorized to manage custom fields of this project'
+    });
+    return null;
+  }
+
+  if (action !== 'project:view' && isArchived(project)) {
+    res.status(409).json({
+      success: false,
+      message: 'Project is archived and read-only'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+const findFieldOr404 = (project, req, res) => {
+  const field = findField(project, req.params.fieldId);
+
+  if (!field) {
+    res.status(404).json({
+      success: false,
+      message: 'Custom field not found'
+    });
+  }
+  return field;
+};
+
+const fieldSummary = (field) => field && {
+  _id: field._id,
+  key: field.key,
+  name: field.name,
+  type: field.type,
+  options: [...field.options],
+  required: field.required
+};
+
+const recordFieldChange = async (project, actor, action, oldValue, newValue) => {
+  await recordActivity({
+    entityType: 'project',
+    entity: project,
+    project,
+    actor,
+    action,
+    changes: [{ field: 'customFields', oldValue, newValue }]
+  });
+
+  publish('project.updated', { project, actor, data: project, changes: [{ field: 'customFields', oldValue, newValue }] });
+};
+
+// Clears values that no longer exist from every task (trashed ones included) and records
+// the change on the live tasks. `options` limits it to those options of a select field
+const clearFieldValues = async (project, field, actor, options = null) => {
+  const path = `customFields.${field.key}`;
+  const match = { project: project._id, [path]: options ? { $in: options } : { $exists: true } };
+
+  const tasks = await Task.find(match).select('_id customFields');
+
+  if (options && field.type === 'multiselect') {
+    await Task.updateMany(match, { $pullAll: { [path]: options } });
+    await Task.updateMany({ project: project._id, [path]: { $size: 0 } }, { $unset: { [path]: 1 } });
+  } else {
+    await Task.updateMany(match, { $unset: { [path]: 1 } });
+  }
+
+  await recordActivities(tasks.map(task => {
+    const { [field.key]: value, ...newValue } = task.customFields;
+    const remaining = options && Array.isArray(value) ? value.filter(option => !options.includes(option)) : [];
+    if (remaining.length) newValue[field.key] = remaining;
+
+    return {
+      entityType: 'task',
+      entity: task,
+      project,
+      actor,
+      action: 'updated',
+      changes: [{ field: 'customFields', oldValue: task.customFields, newValue }]
+    };
+  }));
+
+  return tasks.length;
+};
+
+
+const getProjectCustomFields = async (req, res) => {
+  try {
+    const project = await findProjectForFields(req, res, 'project:view');
+    if (!project) return;
+
+    res.json({
+      success: true,
+      data: getCustomFields(project).map(fieldSummary)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching custom fields',
+      error: error.message
+    });
+  }
+};
+
+
+// Required fields only apply to tasks created or edited afterwards
+const createCustomField = async (req, res) => {
+  try {
+    const project = await findProjectForFields(req, res, 'project:manageFields');
+    if (!project) return;
+
+    const { key, name, type, options, required } = req.body;
+    const errors = validateFieldDefinition(project, { key, name, type, options, required });
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid custom field',
+        errors
+      });
+    }
+
+    project.customFields.push({
+      key,
+      name: name.trim(),
+      type,
+      options: SELECT_TYPES.includes(type) ? options.map(option => String(option).trim()) : [],
+      required: Boolean(required)
+    });
+    await project.save();
+
+    const field = project.customFields[project.customFields.length - 1];
+    await recordFieldChange(project, req.user, 'custom_field_created', null, fieldSummary(field));
+
+    res.status(201).json({
+      success: true,
+      data: fieldSummary(field)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating custom field',
+      error: error.message
+    });
+  }
+};
+
+
+// Key and type are fixed; options removed from a select field are cleared from the tasks using them
+const updateCustomField = async (req, res) => {
+  try {
+    const project = await findProjectForFields(req, res, 'project:manageFields');
+    if (!project) return;
+
+    const field = findFieldOr404(project, req, res);
+    if (!field) return;
+
+    const { key, name, type, options, required } = req.body;
+    const errors = validateFieldDefinition(project, { key, name, type, options, required }, field);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid custom field',
+        errors
+      });
+    }
+
+    const before = fieldSummary(field);
+    if (name !== undefined) field.name = name.trim();
+    if (required !== undefined) field.required = required;
+    if (options !== undefined) field.options = options.map(option => String(option).trim());
+    await project.save();
+
+    const removedOptions = before.options.filter(option => !field.options.includes(option));
+    if (removedOptions.length) {
+      await clearFieldValues(project, field, req.user, removedOptions);
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(fieldSummary(field))) {
+      await recordFieldChange(project, req.user, 'custom_field_updated', before, fieldSummary(field));
+    }
+
+    res.json({
+      success: true,
+      data: fieldSummary(field)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating custom field',
+      error: error.message
+    });
+  }
+};
+
+
+// Removes the field from the project and its value from every task
+const deleteCustomField = async (req, res) => {
+  try {
+    const project = await findProjectForFields(req, res, 'project:manageFields');
+    if (!project) return;
+
+    const field = findFieldOr404(project, req, res);
+    if (!field) return;
+
+    const tasksUpdated = await clearFieldValues(project, field, req.user);
+
+    project.customFields.pull(field._id);
+    await project.save();
+
+    await recordFieldChange(project, req.user, 'custom_field_deleted', fieldSummary(field), null);
+
+    res.json({
+      success: true,
+      message: 'Custom field removed',
+      data: { tasksUpdated }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting custom field',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProjectCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
\ No newline at end of file
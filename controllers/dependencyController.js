@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { can, isArchived } = require('../utils/permissions');
+const { recordActivity } = require('../services/activity');
+const { wouldCreateCycle, buildDependencyGraph } = require('../services/taskDependencies');
+const { publish } = require('../services/events');
+
+
+const addDependency = async (req, res) => {
+  try {
+    const task = mongoose.Types.ObjectId.isValid(req.params.id) && await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!can(project, req.user, 'task:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { blockerId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(blockerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid blocker task id'
+      });
+    }
+
+    if (blockerId === task._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot block itself'
+      });
+    }
+
+    const blocker = await Task.findById(blockerId).select('project');
+
+    if (!blocker || blocker.project.toString() !== project._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blocker task not found in this project'
+      });
+    }
+
+    if (task.blockedBy.some(id => id.toString() === blockerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependency already exists'
+      });
+    }
+
+    if (await wouldCreateCycle(project._id, task._id, blockerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependency would create a cycle'
+      });
+    }
+
+    task.blockedBy.push(blockerId);
+    await task.save();
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'dependency_added',
+      changes: [{ field: 'blockedBy', oldValue: null, newValue: blockerId }]
+    });
+
+    const updatedTask = await task.populate('blockedBy', 'title status statusCategory');
+
+    publish('task.updated', { project, actor: req.user, data: updatedTask, changes: [{ field: 'blockedBy' }] });
+
+    res.status(201).json({
+      success: true,
+      data: updatedTask
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding dependency',
+      error: error.message
+    });
+  }
+};
+
+
+const removeDependency = async (req, res) => {
+  try {
+    const task = mongoose.Types.ObjectId.isValid(req.params.id) && await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!can(project, req.user, 'task:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { blockerId } = req.params;
+
+    if (!task.blockedBy.some(id => id.toString() === blockerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    task.blockedBy = task.blockedBy.filter(id => id.toString() !== blockerId);
+    await task.save();
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'dependency_removed',
+      changes: [{ field: 'blockedBy', oldValue: blockerId, newValue: null }]
+    });
+
+    const updatedTask = await task.populate('blockedBy', 'title status statusCategory');
+
+    publish('task.updated', { project, actor: req.user, data: updatedTask, changes: [{ field: 'blockedBy' }] });
+
+    res.json({
+      success: true,
+      data: updatedTask
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing dependency',
+      error: error.message
+    });
+  }
+};
+
+
+// Edges point from the blocking task to the task it blocks
+const getDependencyGraph = async (req, res) => {
+  try {
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const graph = await buildDependencyGraph(project._id);
+
+    res.json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dependency graph',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  addDependency,
+  removeDependency,
+  getDependencyGraph
+};
\ No newline at end of file
@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { can, isArchived } = require('../utils/permissions');
+const { getWorkflow } = require('../utils/workflow');
+const { getLabels } = require('../utils/labels');
+const { parseCsv } = require('../utils/csv');
+const { PROJECT_FIELDS, recordActivity, initialChanges } = require('../services/activity');
+const { buildProjectExport, buildTasksCsv } = require('../services/projectExport');
+const {
+  collectIdentifiers,
+  loadUsers,
+  validateTaskRows,
+  validateProjectImport,
+  commitTaskImport
+} = require('../services/projectImport');
+
+const fileName = (project, extension) => {
+  const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+const isDryRun = (req) => [req.query.dryRun, req.body && req.body.dryRun].some(value => value === true || value === 'true');
+
+// Import data comes from an uploaded CSV/JSON file or from the JSON body ({ csv }, { tasks }, an export or a bare array)
+const readImportData = (req) => {
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname);
+    return isJson ? JSON.parse(text) : { tasks: parseCsv(text).rows };
+  }
+
+  if (Array.isArray(req.body)) return { tasks: req.body };
+  if (req.body && typeof req.body.csv === 'string') return { tasks: parseCsv(req.body.csv).rows };
+  return req.body || {};
+};
+
+const parseImportRequest = (req, res) => {
+  try {
+    const data = readImportData(req);
+    if (Array.isArray(data)) return { tasks: data };
+    return data && typeof data === 'object' ? data : {};
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Could not parse import data',
+      error: error.message
+    });
+    return null;
+  }
+};
+
+// Ids referenced as parent/blocker that belong to live tasks of the project
+const findExistingTaskIds = async (project, rows) => {
+  const refs = rows
+    .filter(row => row && typeof row === 'object')
+    .flatMap(row => [row.parent, ...(Array.isArray(row.blockedBy) ? row.blockedBy : String(row.blockedBy || '').split(/[;|]/))])
+    .map(ref => (ref ? String(ref).trim() : ''))
+    .filter(ref => mongoose.Types.ObjectId.isValid(ref));
+
+  if (!refs.length) return new Set();
+
+  const tasks = await Task.find({ project: project._id, _id: { $in: [...new Set(refs)] } }).select('_id');
+  return new Set(tasks.map(task => task._id.toString()));
+};
+
+const countComments = (entries) => entries.reduce((total, entry) => total + entry.comments.length, 0);
+
+const memberIds = (project) => new Set([
+  project.owner.toString(),
+  ...project.members.map(member => member.user.toString())
+]);
+
+
+// JSON export (project, members, tasks and comments) or CSV export of the tasks
+const exportProject = async (req, res) => {
+  try {
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'project:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const format = req.query.format || 'json';
+
+    if (format === 'csv') {
+      const csv = await buildTasksCsv(project);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(fileName(project, 'csv'));
+      return res.send(csv);
+    }
+
+    if (format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be one of: json, csv'
+      });
+    }
+
+    const data = await buildProjectExport(project);
+    res.attachment(fileName(project, 'json'));
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting project',
+      error: error.message
+    });
+  }
+};
+
+
+// Adds tasks to an existing project. Nothing is written unless every row is valid
+const importTasks = async (req, res) => {
+  try {
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:create')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create tasks in this project'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const data = parseImportRequest(req, res);
+    if (!data) return;
+
+    if (!Array.isArray(data.tasks) || !data.tasks.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No tasks to import'
+      });
+    }
+
+    const users = await loadUsers(collectIdentifiers(data.tasks));
+    const { entries, errors } = validateTaskRows(data.tasks, {
+      workflow: getWorkflow(project),
+      users,
+      allowedAssignees: memberIds(project),
+      labels: getLabels(project),
+      existingTaskIds: await findExistingTaskIds(project, data.tasks)
+    });
+
+    if (errors.length) {
+      return res.status(422).json({
+        success: false,
+        message: 'Import contains invalid rows',
+        errors
+      });
+    }
+
+    const dryRun = isDryRun(req);
+    const summary = dryRun
+      ? { tasks: entries.length, comments: countComments(entries) }
+      : await commitTaskImport(project, entries, req.user);
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: { dryRun, imported: summary }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing tasks',
+      error: error.message
+    });
+  }
+};
+
+
+// Creates a new project owned by the current user from a JSON export
+const importProject = async (req, res) => {
+  try {
+    const data = parseImportRequest(req, res);
+    if (!data) return;
+
+    if (!data.project) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import data must be a project export'
+      });
+    }
+
+    const tasks = Array.isArray(data.tasks) ? data.tasks : [];
+    const users = await loadUsers(collectIdentifiers(tasks, data.members));
+    const { project: fields, members, projectErrors, memberErrors } = validateProjectImport(data, { owner: req.user, users });
+
+    const { entries, errors: taskErrors } = validateTaskRows(tasks, {
+      workflow: getWorkflow(fields),
+      users,
+      allowedAssignees: new Set([req.user._id.toString(), ...members.map(member => member.user.toString())]),
+      labels: fields.labels
+    });
+
+    if (projectErrors.length || memberErrors.length || taskErrors.length) {
+      return res.status(422).json({
+        success: false,
+        message: 'Import contains invalid data',
+        errors: {
+          project: projectErrors,
+          members: memberErrors,
+          tasks: taskErrors
+        }
+      });
+    }
+
+    if (isDryRun(req)) {
+      return res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          imported: {
+            members: members.length,
+            tasks: entries.length,
+            comments: countComments(entries)
+          }
+        }
+      });
+    }
+
+    const project = await Project.create({ ...fields, owner: req.user._id, members });
+
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'imported',
+      changes: initialChanges(project, PROJECT_FIELDS)
+    });
+
+    let summary;
+    try {
+      summary = await commitTaskImport(project, entries, req.user);
+    } catch (error) {
+      await Project.deleteOne({ _id: project._id });
+      throw error;
+    }
+
+    await project.populate([
+      { path: 'owner', select: 'username email' },
+      { path: 'members.user', select: 'username email' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        dryRun: false,
+        project,
+        imported: { members: members.length, ...summary }
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing project',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportProject,
+  importTasks,
+  importProject
+};
\ No newline at end of file
@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { can, isArchived } = require('../utils/permissions');
+const { getLabels, findLabel, nextColor, validateLabel } = require('../utils/labels');
+const { recordActivity, recordActivities } = require('../services/activity');
+const { publish } = require('../services/events');
+
+const findProjectForLabels = async (req, res, action) => {
+  const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  if (!can(project, req.user, action)) {
+    res.status(403).json({
+      success: false,
+      message: action === 'project:view'
+        ? 'Not authorized to access this project'
+        : 'Not authorized to manage labels of this project'
+    });
+    return null;
+  }
+
+  if (action !== 'project:view' && isArchived(project)) {
+    res.status(409).json({
+      success: false,
+      message: 'Project is archived and read-only'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+const findLabelOr404 = (project, req, res) => {
+  const label = findLabel(project, req.params.labelId);
+
+  if (!label) {
+    res.status(404).json({
+      success: false,
+      message: 'Label not found'
+    });
+  }
+  return label;
+};
+
+const labelSummary = (label) => label && { _id: label._id, name: label.name, color: label.color };
+
+// Records the change on the project and tells listeners the label set changed
+const recordLabelChange = async (project, actor, action, oldValue, newValue) => {
+  await recordActivity({
+    entityType: 'project',
+    entity: project,
+    project,
+    actor,
+    action,
+    changes: [{ field: 'labels', oldValue, newValue }]
+  });
+
+  publish('project.updated', { project, actor, data: project, changes: [{ field: 'labels', oldValue, newValue }] });
+};
+
+
+// Labels of the project with the number of live tasks using each one
+const getProjectLabels = async (req, res) => {
+  try {
+    const project = await findProjectForLabels(req, res, 'project:view');
+    if (!project) return;
+
+    const counts = await Task.aggregate([
+      { $match: { project: project._id } },
+      { $unwind: '$labels' },
+      { $group: { _id: '$labels', count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      success: true,
+      data: getLabels(project).map(label => ({
+        ...labelSummary(label),
+        taskCount: countsById.get(label._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching labels',
+      error: error.message
+    });
+  }
+};
+
+
+const createLabel = async (req, res) => {
+  try {
+    const project = await findProjectForLabels(req, res, 'project:manageLabels');
+    if (!project) return;
+
+    const { name, color } = req.body;
+    const errors = validateLabel(project, { name, color });
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid label',
+        errors
+      });
+    }
+
+    project.labels.push({ name: name.trim(), color: color || nextColor(project) });
+    await project.save();
+
+    const label = project.labels[project.labels.length - 1];
+    await recordLabelChange(project, req.user, 'label_created', null, labelSummary(label));
+
+    res.status(201).json({
+      success: true,
+      data: labelSummary(label)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating label',
+      error: error.message
+    });
+  }
+};
+
+
+// Tasks reference labels by id, so a rename applies to every task at once
+const updateLabel = async (req, res) => {
+  try {
+    const project = await findProjectForLabels(req, res, 'project:manageLabels');
+    if (!project) return;
+
+    const label = findLabelOr404(project, req, res);
+    if (!label) return;
+
+    const { name, color } = req.body;
+    const errors = validateLabel(project, { name, color }, label);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid label',
+        errors
+      });
+    }
+
+    const before = labelSummary(label);
+    if (name !== undefined) label.name = name.trim();
+    if (color !== undefined) label.color = color;
+    await project.save();
+
+    if (before.name !== label.name || before.color !== label.color) {
+      await recordLabelChange(project, req.user, 'label_updated', before, labelSummary(label));
+    }
+
+    res.json({
+      success: true,
+      data: labelSummary(label)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating label',
+      error: error.message
+    });
+  }
+};
+
+
+// Removes the label from the project and from every task, trashed ones included
+const deleteLabel = async (req, res) => {
+  try {
+    const project = await findProjectForLabels(req, res, 'project:manageLabels');
+    if (!project) return;
+
+    const label = findLabelOr404(project, req, res);
+    if (!label) return;
+
+    const tasks = await Task.find({ project: project._id, labels: label._id }).select('_id labels');
+    await Task.updateMany({ project: project._id, labels: label._id }, { $pull: { labels: label._id } });
+
+    project.labels.pull(label._id);
+    await project.save();
+
+    await recordActivities(tasks.map(task => ({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'updated',
+      changes: [{
+        field: 'labels',
+        oldValue: task.labels.map(String),
+        newValue: task.labels.filter(id => !id.equals(label._id)).map(String)
+      }]
+    })));
+    await recordLabelChange(project, req.user, 'label_deleted', labelSummary(label), null);
+
+    res.json({
+      success: true,
+      message: 'Label removed',
+      data: { tasksUpdated: tasks.length }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting label',
+      error: error.message
+    });
+  }
+};
+
+
+// Moves every task from the label in the URL to `into`, then removes the merged label
+const mergeLabel = async (req, res) => {
+  try {
+    const project = await findProjectForLabels(req, res, 'project:manageLabels');
+    if (!project) return;
+
+    const source = findLabelOr404(project, req, res);
+    if (!source) return;
+
+    const target = findLabel(project, req.body.into);
+
+    if (!target || target._id.equals(source._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'into must be the id of another label of this project'
+      });
+    }
+
+    const tasks = await Task.find({ project: project._id, labels: source._id }).select('_id labels');
+
+    await Task.updateMany({ project: project._id, labels: source._id }, { $addToSet: { labels: target._id } });
+    await Task.updateMany({ project: project._id, labels: source._id }, { $pull: { labels: source._id } });
+
+    project.labels.pull(source._id);
+    await project.save();
+
+    await recordActivities(tasks.map(task => {
+      const remaining = task.labels.filter(id => !id.equals(source._id));
+      const merged = remaining.some(id => id.equals(target._id)) ? remaining : [...remaining, target._id];
+      return {
+        entityType: 'task',
+        entity: task,
+        project,
+        actor: req.user,
+        action: 'updated',
+        changes: [{ field: 'labels', oldValue: task.labels.map(String), newValue: merged.map(String) }]
+      };
+    }));
+    await recordLabelChange(project, req.user, 'label_merged', labelSummary(source), labelSummary(target));
+
+    res.json({
+      success: true,
+      data: {
+        label: labelSummary(target),
+        tasksUpdated: tasks.length
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging labels',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProjectLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  mergeLabel
+};
\ No newline at end of file
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { parsePagination, buildPagination } = require('../utils/taskQuery');
+
+
+const getNotifications = async (req, res) => {
+  try {
+    const errors = [];
+    const pagination = parsePagination(req.query, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'username email')
+        .populate('project', 'name')
+        .populate('task', 'title')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: buildPagination(pagination, total)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+};
+
+
+// Marks the given notifications as read, or all of them when no ids are sent
+const markNotificationsRead = async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const filter = { recipient: req.user._id, readAt: null };
+
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'ids must be an array of notification ids'
+        });
+      }
+      filter._id = { $in: ids };
+    }
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications',
+      error: error.message
+    });
+  }
+};
+
+
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (req.body.read === false) {
+      notification.readAt = null;
+    } else if (!notification.readAt) {
+      notification.readAt = new Date();
+    }
+    await notification.save();
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationsRead,
+  markNotificationRead
+};
\ No newline at end of file
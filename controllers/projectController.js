@@ -1,16 +1,61 @@
 const Project = require('../models/Project');
 const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { MEMBER_ROLES, getProjectRole, can, canManageMember, isArchived } = require('../utils/permissions');
+const { parsePagination, buildPagination } = require('../utils/taskQuery');
+const {
+  PROJECT_FIELDS,
+  snapshot,
+  diffSnapshots,
+  initialChanges,
+  recordActivity,
+  recordActivities
+} = require('../services/activity');
+const { getWorkflow, allowedTransitions, validateWorkflow } = require('../utils/workflow');
+const { publish } = require('../services/events');
+const { recordTransitions } = require('../services/transitions');
+const { trashProject, restoreTrashedProject, purgeDate } = require('../services/trash');
+
+// Accepts either plain user ids or { user, role } objects and drops the owner and duplicates
+const normalizeMembers = (members, ownerId) => {
+  const seen = new Set([ownerId.toString()]);
+
+  return (members || []).reduce((result, entry) => {
+    const user = entry && entry.user ? entry.user : entry;
+    const role = entry && entry.role ? entry.role : 'contributor';
+
+    if (!user || seen.has(user.toString())) return result;
+    seen.add(user.toString());
+
+    result.push({ user, role });
+    return result;
+  }, []);
+};
+
+// Roles in a members list that cannot be stored on a membership
+const invalidMemberRoles = (members) => (members || [])
+  .filter(entry => entry && entry.role && !MEMBER_ROLES.includes(entry.role))
+  .map(entry => entry.role);
 
 
 const getProjects = async (req, res) => {
   try {
-    const projects = await Project.find({
+    const filter = {
       $or: [
         { owner: req.user._id },
-        { members: req.user._id }
+        { 'members.user': req.user._id }
       ]
-    }).populate('owner', 'username email')
-      .populate('members', 'username email');
+    };
+
+    // Archived projects are hidden unless explicitly requested
+    if (req.query.includeArchived !== 'true') {
+      filter.status = { $ne: 'archived' };
+    }
+
+    const projects = await Project.find(filter).populate('owner', 'username email')
+      .populate('members.user', 'username email');
 
     res.json({
       success: true,
@@ -30,9 +75,7 @@ const getProjects = async (req, res) => {
 const getProjectById = async (req, res) => {
   try {
     const id = req.params.id;
-    console.log('Request user ID:', req.user._id);
-    console.log('Project ID requested:', id);
-    
+
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
@@ -41,7 +84,6 @@ const getProjectById = async (req, res) => {
     }
 
     const project = await Project.findById(id);
-    console.log('Project found:', project ? 'Yes' : 'No');
 
     if (!project) {
       return res.status(404).json({
@@ -50,17 +92,7 @@ const getProjectById = async (req, res) => {
       });
     }
 
-    console.log('Project owner:', project.owner.toString());
-    console.log('Project members:', project.members.map(m => m.toString()));
-    
-    // Check if user has access to project
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isMember = project.members.map(member => member.toString()).includes(req.user._id.toString());
-    
-    console.log('Is owner:', isOwner);
-    console.log('Is member:', isMember);
-
-    if (!isOwner && !isMember) {
+    if (!can(project, req.user, 'project:view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this project'
@@ -69,7 +101,7 @@ const getProjectById = async (req, res) => {
 
     const populatedProject = await project.populate([
       { path: 'owner', select: 'username email' },
-      { path: 'members', select: 'username email' }
+      { path: 'members.user', select: 'username email' }
     ]);
 
     res.json({
@@ -91,18 +123,34 @@ const createProject = async (req, res) => {
   try {
     const { name, description, startDate, endDate, members } = req.body;
 
+    if (invalidMemberRoles(members).length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed roles: ${MEMBER_ROLES.join(', ')}`
+      });
+    }
+
     const project = await Project.create({
       name,
       description,
       startDate,
       endDate,
       owner: req.user._id,
-      members: members || []
+      members: normalizeMembers(members, req.user._id)
+    });
+
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'created',
+      changes: initialChanges(project, PROJECT_FIELDS)
     });
 
     const populatedProject = await project.populate([
       { path: 'owner', select: 'username email' },
-      { path: 'members', select: 'username email' }
+      { path: 'members.user', select: 'username email' }
     ]);
 
     res.status(201).json({
@@ -131,8 +179,7 @@ const updateProject = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (project.owner.toString() !== req.user._id.toString()) {
+    if (!can(project, req.user, 'project:update')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this project'
@@ -141,20 +188,67 @@ const updateProject = async (req, res) => {
 
     const { name, description, status, startDate, endDate, members } = req.body;
 
+    if (invalidMemberRoles(members).length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed roles: ${MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    // The only change an archived project accepts is leaving the archived status, on its own
+    if (isArchived(project)) {
+      const otherFields = Object.entries({ name, description, startDate, endDate, members })
+        .filter(([, value]) => value !== undefined)
+        .map(([field]) => field);
+
+      if (!status || status === 'archived' || otherFields.length) {
+        return res.status(409).json({
+          success: false,
+          message: otherFields.length && status && status !== 'archived'
+            ? `Unarchive the project on its own before changing: ${otherFields.join(', ')}`
+            : 'Project is archived and read-only; unarchive it first'
+        });
+      }
+    }
+
+    const before = snapshot(project, PROJECT_FIELDS);
+    const membersBefore = project.members.map(m => ({ user: m.user.toString(), role: m.role }));
+
     project.name = name || project.name;
     project.description = description || project.description;
     project.status = status || project.status;
     project.startDate = startDate || project.startDate;
     project.endDate = endDate || project.endDate;
-    project.members = members || project.members;
+    project.members = members ? normalizeMembers(members, project.owner) : project.members;
 
     await project.save();
 
+    const changes = diffSnapshots(before, snapshot(project, PROJECT_FIELDS));
+    const membersAfter = project.members.map(m => ({ user: m.user.toString(), role: m.role }));
+    if (JSON.stringify(membersBefore) !== JSON.stringify(membersAfter)) {
+      changes.push({ field: 'members', oldValue: membersBefore, newValue: membersAfter });
+    }
+
+    if (changes.length) {
+      await recordActivity({
+        entityType: 'project',
+        entity: project,
+        project,
+        actor: req.user,
+        action: 'updated',
+        changes
+      });
+    }
+
     const updatedProject = await project.populate([
       { path: 'owner', select: 'username email' },
-      { path: 'members', select: 'username email' }
+      { path: 'members.user', select: 'username email' }
     ]);
 
+    if (changes.length) {
+      publish('project.updated', { project, actor: req.user, data: updatedProject, changes });
+    }
+
     res.json({
       success: true,
       data: updatedProject
@@ -170,6 +264,65 @@ const updateProject = async (req, res) => {
 };
 
 
+const setArchived = (archived) => async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'project:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this project'
+      });
+    }
+
+    if (isArchived(project) === archived) {
+      return res.status(409).json({
+        success: false,
+        message: archived ? 'Project is already archived' : 'Project is not archived'
+      });
+    }
+
+    const previousStatus = project.status;
+    project.status = archived ? 'archived' : 'active';
+    await project.save();
+
+    const changes = [{ field: 'status', oldValue: previousStatus, newValue: project.status }];
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: archived ? 'archived' : 'unarchived',
+      changes
+    });
+
+    publish('project.updated', { project, actor: req.user, data: project, changes });
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: archived ? 'Error archiving project' : 'Error unarchiving project',
+      error: error.message
+    });
+  }
+};
+
+const archiveProject = setArchived(true);
+const unarchiveProject = setArchived(false);
+
+
 const deleteProject = async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
@@ -181,18 +334,32 @@ const deleteProject = async (req, res) => {
       });
     }
 
-    if (project.owner.toString() !== req.user._id.toString()) {
+    if (!can(project, req.user, 'project:delete')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this project'
       });
     }
 
-    await project.deleteOne();
+    // Tasks go to the trash with the project; files and comments are only removed by the purge
+    await trashProject(project, req.user);
+
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'deleted'
+    });
+
+    publish('project.deleted', { project, actor: req.user, data: { _id: project._id, name: project.name } });
 
     res.json({
       success: true,
-      message: 'Project removed'
+      message: 'Project moved to trash',
+      data: {
+        purgeAt: purgeDate(project.deletedAt)
+      }
     });
   } catch (error) {
     console.error(error);
@@ -205,6 +372,75 @@ const deleteProject = async (req, res) => {
 };
 
 
+// Only the owner can see and restore a trashed project
+const getTrashedProjects = async (req, res) => {
+  try {
+    const projects = await Project.find({ owner: req.user._id, deletedAt: { $ne: null } })
+      .populate('deletedBy', 'username email')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: projects.map(project => ({ ...project, purgeAt: purgeDate(project.deletedAt) }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed projects',
+      error: error.message
+    });
+  }
+};
+
+
+const restoreProject = async (req, res) => {
+  try {
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Project.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found in trash'
+      });
+    }
+
+    if (!can(project, req.user, 'project:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore this project'
+      });
+    }
+
+    await restoreTrashedProject(project, req.user);
+
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'restored'
+    });
+
+    publish('project.restored', { project, actor: req.user, data: project });
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring project',
+      error: error.message
+    });
+  }
+};
+
+
 const addProjectMember = async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
@@ -216,31 +452,66 @@ const addProjectMember = async (req, res) => {
       });
     }
 
-    if (project.owner.toString() !== req.user._id.toString()) {
+    const { userId, role = 'contributor' } = req.body;
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed roles: ${MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    if (!canManageMember(project, req.user, role)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to modify this project'
       });
     }
 
-    const { userId } = req.body;
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const memberUser = mongoose.Types.ObjectId.isValid(userId) &&
+      await User.findOne({ _id: userId, deletedAt: null }).select('_id');
+
+    if (!memberUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
     // Check if member already exists
-    if (project.members.includes(userId)) {
+    if (getProjectRole(project, userId)) {
       return res.status(400).json({
         success: false,
         message: 'User is already a member of this project'
       });
     }
 
-    project.members.push(userId);
+    project.members.push({ user: userId, role });
     await project.save();
 
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'member_added',
+      changes: [{ field: 'members', oldValue: null, newValue: { user: userId, role } }]
+    });
+
     const updatedProject = await project.populate([
       { path: 'owner', select: 'username email' },
-      { path: 'members', select: 'username email' }
+      { path: 'members.user', select: 'username email' }
     ]);
 
+    publish('member.added', { project, actor: req.user, data: { user: userId, role } });
+
     res.json({
       success: true,
       data: updatedProject
@@ -266,27 +537,52 @@ const removeProjectMember = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (project.owner.toString() !== req.user._id.toString()) {
+    const { userId } = req.params;
+    const memberRole = getProjectRole(project, userId);
+
+    if (!memberRole || memberRole === 'owner') {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this project'
+      });
+    }
+
+    if (!canManageMember(project, req.user, memberRole)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to modify this project'
       });
     }
 
-    const { userId } = req.params;
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
 
     project.members = project.members.filter(
-      member => member.toString() !== userId
+      member => member.user.toString() !== userId
     );
 
     await project.save();
 
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'member_removed',
+      changes: [{ field: 'members', oldValue: { user: userId, role: memberRole }, newValue: null }]
+    });
+
     const updatedProject = await project.populate([
       { path: 'owner', select: 'username email' },
-      { path: 'members', select: 'username email' }
+      { path: 'members.user', select: 'username email' }
     ]);
 
+    publish('member.removed', { project, actor: req.user, data: { user: userId, role: memberRole } });
+
     res.json({
       success: true,
       data: updatedProject
@@ -301,12 +597,333 @@ const removeProjectMember = async (req, res) => {
   }
 };
 
+const updateProjectMemberRole = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed roles: ${MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    const member = project.members.find(m => m.user.toString() === userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this project'
+      });
+    }
+
+    // Both the current and the new role must be manageable by the requester
+    if (!canManageMember(project, req.user, member.role) ||
+        !canManageMember(project, req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this project'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await project.save();
+
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'member_role_changed',
+      changes: [{ field: 'members', oldValue: { user: userId, role: previousRole }, newValue: { user: userId, role } }]
+    });
+
+    const updatedProject = await project.populate([
+      { path: 'owner', select: 'username email' },
+      { path: 'members.user', select: 'username email' }
+    ]);
+
+    publish('member.updated', { project, actor: req.user, data: { user: userId, role, previousRole } });
+
+    res.json({
+      success: true,
+      data: updatedProject
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating member role',
+      error: error.message
+    });
+  }
+};
+
+// Project-level entries by default; `includeTasks=true` adds the activity of its tasks
+const getProjectActivity = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'project:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const errors = [];
+    const pagination = parsePagination(req.query, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const filter = { project: project._id };
+    if (req.query.includeTasks !== 'true') filter.entityType = 'project';
+
+    const [activity, total] = await Promise.all([
+      Activity.find(filter)
+        .populate('actor', 'username email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Activity.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: activity,
+      pagination: buildPagination(pagination, total)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching project activity',
+      error: error.message
+    });
+  }
+};
+
+const getProjectWorkflow = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'project:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const workflow = getWorkflow(project);
+
+    res.json({
+      success: true,
+      data: {
+        statuses: workflow.statuses.map(status => ({
+          key: status.key,
+          name: status.name,
+          category: status.category,
+          next: allowedTransitions(workflow, status.key)
+        })),
+        transitions: workflow.transitions,
+        initialStatus: workflow.initialStatus
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workflow',
+      error: error.message
+    });
+  }
+};
+
+
+// Replaces the workflow. Tasks in statuses that disappear must be mapped to a new one through `statusMap`
+const updateProjectWorkflow = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'project:manageWorkflow')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change the workflow of this project'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { statuses, transitions = [], initialStatus, statusMap = {} } = req.body;
+    const errors = validateWorkflow({ statuses, transitions, initialStatus });
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workflow',
+        errors
+      });
+    }
+
+    const keys = statuses.map(status => status.key);
+    const usedStatuses = await Task.distinct('status', { project: project._id });
+    const removedStatuses = usedStatuses.filter(key => !keys.includes(key));
+    const unmapped = removedStatuses.filter(key => !keys.includes(statusMap[key]));
+
+    if (unmapped.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Tasks use statuses missing from the new workflow. Map them in statusMap: ${unmapped.join(', ')}`
+      });
+    }
+
+    const before = getWorkflow(project);
+    project.workflow = {
+      statuses: statuses.map(({ key, name, category }) => ({ key, name, category })),
+      transitions: transitions.map(({ from, to }) => ({ from, to })),
+      initialStatus: initialStatus || keys[0]
+    };
+    await project.save();
+
+    await recordActivity({
+      entityType: 'project',
+      entity: project,
+      project,
+      actor: req.user,
+      action: 'workflow_updated',
+      changes: [{
+        field: 'workflow',
+        oldValue: before.statuses.map(status => status.key),
+        newValue: keys
+      }]
+    });
+
+    // Live tasks whose status or category is about to change, for the flow reports
+    const newStatuses = project.workflow.statuses;
+    const previousStates = await Task.find({
+      project: project._id,
+      $or: [
+        { status: { $in: removedStatuses } },
+        ...newStatuses.map(status => ({ status: status.key, statusCategory: { $ne: status.category } }))
+      ]
+    }).select('project status statusCategory').lean();
+
+    // Move tasks out of removed statuses, keeping an activity entry per task
+    for (const oldKey of removedStatuses) {
+      const newKey = statusMap[oldKey];
+      const moved = await Task.find({ project: project._id, status: oldKey }).select('_id');
+
+      await Task.updateMany({ project: project._id, status: oldKey }, { $set: { status: newKey } });
+      await recordActivities(moved.map(task => ({
+        entityType: 'task',
+        entity: task,
+        project,
+        actor: req.user,
+        action: 'updated',
+        changes: [{ field: 'status', oldValue: oldKey, newValue: newKey }]
+      })));
+    }
+
+    // Re-sync the stored category in case a status changed category
+    await Promise.all(project.workflow.statuses.map(status => Task.updateMany(
+      { project: project._id, status: status.key, statusCategory: { $ne: status.category } },
+      { $set: { statusCategory: status.category, completedAt: status.category === 'done' ? new Date() : null } }
+    )));
+
+    await recordTransitions(previousStates.map(task => {
+      const key = removedStatuses.includes(task.status) ? statusMap[task.status] : task.status;
+      const status = newStatuses.find(candidate => candidate.key === key);
+      return {
+        task,
+        project,
+        from: task.status,
+        to: status.key,
+        fromCategory: task.statusCategory,
+        toCategory: status.category,
+        actor: req.user
+      };
+    }));
+
+    publish('project.updated', { project, actor: req.user, data: project, changes: [{ field: 'workflow' }] });
+
+    res.json({
+      success: true,
+      data: project.workflow
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating workflow',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getProjects,
   getProjectById,
   createProject,
   updateProject,
   deleteProject,
+  archiveProject,
+  unarchiveProject,
+  getTrashedProjects,
+  restoreProject,
   addProjectMember,
-  removeProjectMember
+  removeProjectMember,
+  updateProjectMemberRole,
+  getProjectActivity,
+  getProjectWorkflow,
+  updateProjectWorkflow
 }; 
\ No newline at end of file
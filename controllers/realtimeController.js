@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { can } = require('../utils/permissions');
+const { subscribe } = require('../services/events');
+const { generateStreamToken } = require('../utils/tokens');
+
+// Events forwarded to clients; membership and project events are handled internally
+const STREAM_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.reordered',
+  'task.deleted',
+  'task.restored',
+  'comment.added',
+  'comment.updated',
+  'comment.deleted'
+];
+
+const MEMBERSHIP_EVENTS = ['member.updated', 'member.removed', 'project.updated'];
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25 * 1000;
+const MAX_TIMEOUT_MS = 2147483647;
+
+const writeEvent = (res, event, data, id) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+
+// Token for ?stream_token=, so EventSource clients never put their access token in a URL
+const createStreamToken = async (req, res) => {
+  try {
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this project'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token: generateStreamToken(req.user, project._id, req.tokenExpiresAt)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating stream token',
+      error: error.message
+    });
+  }
+};
+
+
+// Server-Sent Events stream of task and comment changes for one project
+const streamProjectEvents = async (req, res) => {
+  let project;
+
+  try {
+    project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this project'
+      });
+    }
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error opening event stream',
+      error: error.message
+    });
+  }
+
+  const projectId = project._id.toString();
+  let closed = false;
+  let sequence = 0;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  writeEvent(res, 'ready', { project: projectId, user: req.user._id });
+
+  const close = (reason) => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    if (reason) writeEvent(res, 'close', { reason });
+    res.end();
+  };
+
+  // Membership can change while the stream is open; re-check it like the REST controllers would
+  const recheckAccess = async () => {
+    try {
+      const current = await Project.findById(projectId);
+      if (!current) return close('project_deleted');
+      if (!can(current, req.user, 'task:view')) close('access_revoked');
+    } catch (error) {
+      console.error('Error re-checking stream access:', error);
+    }
+  };
+
+  const unsubscribe = subscribe('*', (payload) => {
+    if (closed || !payload.project || payload.project.toString() !== projectId) return;
+
+    if (payload.event === 'project.deleted') return close('project_deleted');
+    if (MEMBERSHIP_EVENTS.includes(payload.event)) {
+      recheckAccess();
+      return;
+    }
+    if (!STREAM_EVENTS.includes(payload.event)) return;
+
+    sequence += 1;
+    writeEvent(res, payload.event, payload, `${Date.now()}-${sequence}`);
+  });
+
+  // Comments keep proxies from dropping idle connections
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  // The client must reconnect with a fresh access token once this one expires
+  const expiry = req.tokenExpiresAt
+    ? setTimeout(
+      () => close('token_expired'),
+      Math.min(Math.max(req.tokenExpiresAt.getTime() - Date.now(), 0), MAX_TIMEOUT_MS)
+    )
+    : null;
+
+  req.on('close', () => close());
+};
+
+module.exports = {
+  createStreamToken,
+  streamProjectEvents
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { can } = require('../utils/permissions');
+const { parseRange } = require('../utils/periods');
+const { buildProjectStats, buildBurndown, buildCumulativeFlow } = require('../services/reports');
+
+const findProjectForReport = async (req, res) => {
+  const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  if (!can(project, req.user, 'project:view')) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this project'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+
+// Flow reports default to the project's own start and end dates
+const parseFlowRange = (req, project, errors) => parseRange({
+  from: req.query.startDate || project.startDate,
+  to: req.query.endDate || project.endDate || new Date(),
+  interval: 'day'
+}, errors);
+
+
+const getProjectStats = async (req, res) => {
+  try {
+    const project = await findProjectForReport(req, res);
+    if (!project) return;
+
+    const errors = [];
+    const range = parseRange(req.query, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const stats = await buildProjectStats(project, range);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing project statistics',
+      error: error.message
+    });
+  }
+};
+
+
+
+const getBurndown = async (req, res) => {
+  try {
+    const project = await findProjectForReport(req, res);
+    if (!project) return;
+
+    const errors = [];
+    const range = parseFlowRange(req, project, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await buildBurndown(project, range)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building burndown report',
+      error: error.message
+    });
+  }
+};
+
+
+const getCumulativeFlow = async (req, res) => {
+  try {
+    const project = await findProjectForReport(req, res);
+    if (!project) return;
+
+    const errors = [];
+    const range = parseFlowRange(req, project, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await buildCumulativeFlow(project, range)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building cumulative flow report',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProjectStats,
+  getBurndown,
+  getCumulativeFlow
+};
\ No newline at end of file
@@ -1,5 +1,36 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
+const Comment = require('../models/Comment');
+const { can, isArchived } = require('../utils/permissions');
+const { parseTaskQuery, parsePagination, buildPagination } = require('../utils/taskQuery');
+const Activity = require('../models/Activity');
+const {
+  TASK_FIELDS,
+  snapshot,
+  diffSnapshots,
+  initialChanges,
+  recordActivity
+} = require('../services/activity');
+const {
+  validateParent,
+  loadSubtrees,
+  loadProgress,
+  computeProgress,
+  buildTree
+} = require('../services/taskHierarchy');
+const { isBlockedTransition, findOpenBlockers } = require('../services/taskDependencies');
+const { getWorkflow, findStatus, getInitialStatus, checkTransition } = require('../utils/workflow');
+const { nextRank } = require('../services/board');
+const { notifyAssignment, notifyStatusChange } = require('../services/notifications');
+const { resolveMentions, notifyNewMentions } = require('../services/mentions');
+const { publish } = require('../services/events');
+const { trashTask, restoreTrashedTask, purgeDate } = require('../services/trash');
+const { recordTransition, presenceTransition } = require('../services/transitions');
+const { parseRecurrence, toRRule } = require('../utils/recurrence');
+const { resolveLabels } = require('../utils/labels');
+const { getCustomFields, parseFieldValues } = require('../utils/customFields');
+const { spawnNextOccurrence } = require('../services/recurrence');
 
 
 const getProjectTasks = async (req, res) => {
@@ -12,22 +43,66 @@ const getProjectTasks = async (req, res) => {
       });
     }
 
-    if (project.owner.toString() !== req.user._id.toString() && 
-        !project.members.includes(req.user._id)) {
+    if (!can(project, req.user, 'task:view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this project'
       });
     }
 
-    const tasks = await Task.find({ project: req.params.projectId })
-      .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email')
-      .sort({ createdAt: -1 });
+    const { filter, sort, pagination, errors } = parseTaskQuery(req.query, req.user, {
+      customFields: getCustomFields(project)
+    });
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    filter.project = project._id;
+
+    // The tree view paginates top-level tasks and nests their whole subtree under them
+    const isTree = req.query.view === 'tree';
+    if (isTree) filter.parent = null;
+
+    const [tasks, total] = await Promise.all([
+      Task.find(filter)
+        .populate('assignedTo', 'username email')
+        .populate('createdBy', 'username email')
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      Task.countDocuments(filter)
+    ]);
+
+    // Only the returned page and the subtasks below it are needed for progress
+    const subtrees = await loadSubtrees(tasks.map(task => task._id));
+    const progress = computeProgress(subtrees);
+
+    let data = tasks;
+
+    if (isTree) {
+      const pageIds = new Set(tasks.map(task => task._id.toString()));
+      const descendantIds = subtrees.map(task => task._id).filter(id => !pageIds.has(id.toString()));
+      const descendants = await Task.find({ _id: { $in: descendantIds } })
+        .populate('assignedTo', 'username email')
+        .populate('createdBy', 'username email')
+        .sort(sort)
+        .lean();
+
+      data = [...tasks, ...descendants];
+    }
+
+    data = data.map(task => ({ ...task, progress: progress.get(task._id.toString()) || 0 }));
 
     res.json({
       success: true,
-      data: tasks
+      data: isTree ? buildTree(data) : data,
+      pagination: buildPagination(pagination, total)
     });
   } catch (error) {
     console.error(error);
@@ -42,15 +117,33 @@ const getProjectTasks = async (req, res) => {
 
 const getMyTasks = async (req, res) => {
   try {
-    const tasks = await Task.find({ assignedTo: req.user._id })
-      .populate('project', 'name')
-      .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email')
-      .sort({ createdAt: -1 });
+    const { filter, sort, pagination, errors } = parseTaskQuery(req.query, req.user);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    filter.assignedTo = req.user._id;
+
+    const [tasks, total] = await Promise.all([
+      Task.find(filter)
+        .populate('project', 'name')
+        .populate('assignedTo', 'username email')
+        .populate('createdBy', 'username email')
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Task.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      data: tasks
+      data: tasks,
+      pagination: buildPagination(pagination, total)
     });
   } catch (error) {
     console.error(error);
@@ -69,7 +162,7 @@ const getTaskById = async (req, res) => {
       .populate('project', 'name')
       .populate('assignedTo', 'username email')
       .populate('createdBy', 'username email')
-      .populate('comments.author', 'username email');
+      .populate('blockedBy', 'title status statusCategory');
 
     if (!task) {
       return res.status(404).json({
@@ -79,17 +172,28 @@ const getTaskById = async (req, res) => {
     }
 
     const project = await Project.findById(task.project);
-    if (project.owner.toString() !== req.user._id.toString() && 
-        !project.members.includes(req.user._id)) {
+    if (!can(project, req.user, 'task:view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this task'
       });
     }
 
+    // Comments are paginated through /api/tasks/:id/comments
+    const [commentCount, progress, blocks] = await Promise.all([
+      Comment.countDocuments({ task: task._id, deletedAt: null }),
+      loadProgress([task._id]),
+      Task.find({ blockedBy: task._id }).select('title status statusCategory')
+    ]);
+
     res.json({
       success: true,
-      data: task
+      data: {
+        ...task.toObject(),
+        blocks,
+        commentCount,
+        progress: progress.get(task._id.toString()) || 0
+      }
     });
   } catch (error) {
     console.error(error);
@@ -104,7 +208,7 @@ const getTaskById = async (req, res) => {
 
 const createTask = async (req, res) => {
   try {
-    const { title, description, project, priority, dueDate, assignedTo } = req.body;
+    const { title, description, project, status, priority, dueDate, assignedTo, parent, checklist, recurrence, labels, customFields } = req.body;
 
     // Verificar acceso al proyecto
     const projectDoc = await Project.findById(project);
@@ -115,30 +219,130 @@ const createTask = async (req, res) => {
       });
     }
 
-    if (projectDoc.owner.toString() !== req.user._id.toString() && 
-        !projectDoc.members.includes(req.user._id)) {
+    if (!can(projectDoc, req.user, 'task:create')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to create tasks in this project'
       });
     }
 
+    if (isArchived(projectDoc)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const workflow = getWorkflow(projectDoc);
+    const initialStatus = status ? findStatus(workflow, status) : getInitialStatus(workflow);
+
+    if (!initialStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status: ${status}. Allowed: ${workflow.statuses.map(s => s.key).join(', ')}`
+      });
+    }
+
+    const mentioned = await resolveMentions(description, projectDoc);
+
+    if (mentioned.nonMembers.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Mentioned users are not members of this project: ${mentioned.nonMembers.join(', ')}`
+      });
+    }
+
+    if (parent) {
+      const parentError = await validateParent(null, parent, projectDoc._id);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    const taskLabels = resolveLabels(projectDoc, labels);
+
+    if (taskLabels.unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown labels for this project: ${taskLabels.unknown.join(', ')}`
+      });
+    }
+
+    const fieldValues = parseFieldValues(projectDoc, customFields);
+
+    if (fieldValues.errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid custom fields',
+        errors: fieldValues.errors
+      });
+    }
+
+    const recurrenceErrors = [];
+    const rule = parseRecurrence(recurrence, recurrenceErrors);
+    if (rule && !dueDate) recurrenceErrors.push('Recurring tasks need a dueDate');
+
+    if (recurrenceErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recurrence',
+        errors: recurrenceErrors
+      });
+    }
+
+    const taskId = new mongoose.Types.ObjectId();
+
     const task = await Task.create({
+      _id: taskId,
       title,
       description,
       project,
+      status: initialStatus.key,
+      statusCategory: initialStatus.category,
+      rank: await nextRank(projectDoc._id, initialStatus.key),
       priority,
       dueDate,
       assignedTo,
-      createdBy: req.user._id
+      parent: parent || null,
+      mentions: mentioned.users,
+      labels: taskLabels.labels,
+      customFields: fieldValues.values,
+      checklist: (checklist || []).map(item => (typeof item === 'string' ? { text: item } : item)),
+      createdBy: req.user._id,
+      ...(rule && {
+        recurrence: rule,
+        recurrenceSeries: taskId,
+        occurrence: 1,
+        nextOccurrenceAt: dueDate
+      })
     });
 
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project: projectDoc,
+      actor: req.user,
+      action: 'created',
+      changes: initialChanges(task, TASK_FIELDS)
+    });
+    await recordTransition(presenceTransition(task, req.user, true));
+
+    if (task.assignedTo) {
+      await notifyAssignment(task, projectDoc, req.user);
+    }
+    await notifyNewMentions({ mentions: task.mentions, actor: req.user, project: projectDoc, task });
+
     const populatedTask = await task.populate([
       { path: 'project', select: 'name' },
       { path: 'assignedTo', select: 'username email' },
       { path: 'createdBy', select: 'username email' }
     ]);
 
+    publish('task.created', { project: projectDoc, actor: req.user, data: populatedTask });
+
     res.status(201).json({
       success: true,
       data: populatedTask
@@ -165,31 +369,220 @@ const updateTask = async (req, res) => {
     }
 
     const project = await Project.findById(task.project);
-    if (project.owner.toString() !== req.user._id.toString() && 
-        !project.members.includes(req.user._id)) {
+    if (!can(project, req.user, 'task:update')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
 
-    const { title, description, status, priority, dueDate, assignedTo } = req.body;
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { title, description, status, priority, dueDate, assignedTo, parent, force, recurrence, labels, customFields } = req.body;
+    const before = snapshot(task, TASK_FIELDS);
+    const previousRule = toRRule(task.recurrence);
+    const previousLabels = task.labels.map(String);
+    const previousFields = task.customFields || {};
+
+    let nextStatus = null;
+
+    if (status && status !== task.status) {
+      const transition = checkTransition(getWorkflow(project), task.status, status);
+
+      if (transition.error) {
+        return res.status(400).json({
+          success: false,
+          message: transition.error
+        });
+      }
+      nextStatus = transition.status;
+    }
+
+    // Open blockers prevent starting or finishing the task unless a maintainer forces it
+    if (nextStatus && isBlockedTransition(nextStatus.category)) {
+      const openBlockers = await findOpenBlockers(task);
+
+      if (openBlockers.length) {
+        if (!force) {
+          return res.status(409).json({
+            success: false,
+            message: 'Task is blocked by open tasks',
+            blockers: openBlockers
+          });
+        }
+
+        if (!can(project, req.user, 'task:forceTransition')) {
+          return res.status(403).json({
+            success: false,
+            message: 'Not authorized to force a blocked task'
+          });
+        }
+      }
+    }
+
+    // `parent: null` detaches the task; omitting it keeps the current parent
+    if (parent !== undefined) {
+      if (parent) {
+        const parentError = await validateParent(task, parent, project._id);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      }
+      task.parent = parent || null;
+    }
+
+    let mentioned = null;
+    const previousMentions = [...task.mentions];
+
+    // Compared before assigning, otherwise an edited description would never be re-resolved
+    if (description && description !== task.description) {
+      mentioned = await resolveMentions(description, project);
+
+      if (mentioned.nonMembers.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Mentioned users are not members of this project: ${mentioned.nonMembers.join(', ')}`
+        });
+      }
+    }
 
     task.title = title || task.title;
     task.description = description || task.description;
-    task.status = status || task.status;
+
+    const previousStatus = { key: task.status, category: task.statusCategory };
+
+    // A status change through the form drops the task at the bottom of its new column
+    if (nextStatus) {
+      task.status = nextStatus.key;
+      task.statusCategory = nextStatus.category;
+      task.rank = await nextRank(project._id, nextStatus.key);
+    }
     task.priority = priority || task.priority;
     task.dueDate = dueDate || task.dueDate;
     task.assignedTo = assignedTo || task.assignedTo;
+    if (mentioned) task.mentions = mentioned.users;
+
+    // `labels` replaces the task's labels; `[]` clears them
+    if (labels !== undefined) {
+      const taskLabels = resolveLabels(project, labels);
+
+      if (taskLabels.unknown.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown labels for this project: ${taskLabels.unknown.join(', ')}`
+        });
+      }
+      task.labels = taskLabels.labels;
+    }
+
+    // `customFields` only touches the keys it contains; `null` clears a value
+    if (customFields !== undefined) {
+      const fieldValues = parseFieldValues(project, customFields, previousFields);
+
+      if (fieldValues.errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid custom fields',
+          errors: fieldValues.errors
+        });
+      }
+      task.customFields = fieldValues.values;
+    }
+
+    // `recurrence: null` stops the series after this occurrence
+    if (recurrence !== undefined) {
+      const recurrenceErrors = [];
+      const rule = parseRecurrence(recurrence, recurrenceErrors);
+      if (rule && !task.dueDate) recurrenceErrors.push('Recurring tasks need a dueDate');
+
+      if (recurrenceErrors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurrence',
+          errors: recurrenceErrors
+        });
+      }
+
+      task.recurrence = rule;
+      if (rule && !task.recurrenceSeries) {
+        task.recurrenceSeries = task._id;
+        task.occurrence = 1;
+      }
+      task.nextOccurrenceAt = rule && !task.nextOccurrence ? task.dueDate : null;
+    } else if (task.nextOccurrenceAt && task.isModified('dueDate')) {
+      task.nextOccurrenceAt = task.dueDate;
+    }
 
     await task.save();
 
+    if (nextStatus) {
+      await recordTransition({
+        task,
+        project,
+        from: previousStatus.key,
+        to: nextStatus.key,
+        fromCategory: previousStatus.category,
+        toCategory: nextStatus.category,
+        actor: req.user
+      });
+    }
+
+    const changes = diffSnapshots(before, snapshot(task, TASK_FIELDS));
+    if (JSON.stringify(task.labels.map(String)) !== JSON.stringify(previousLabels)) {
+      changes.push({ field: 'labels', oldValue: previousLabels, newValue: task.labels.map(String) });
+    }
+    if (JSON.stringify(task.customFields || {}) !== JSON.stringify(previousFields)) {
+      changes.push({ field: 'customFields', oldValue: previousFields, newValue: task.customFields });
+    }
+    if (toRRule(task.recurrence) !== previousRule) {
+      changes.push({ field: 'recurrence', oldValue: previousRule, newValue: toRRule(task.recurrence) });
+    }
+    if (changes.length) {
+      await recordActivity({
+        entityType: 'task',
+        entity: task,
+        project,
+        actor: req.user,
+        action: 'updated',
+        changes
+      });
+    }
+
+    // Completing an occurrence generates the next one right away
+    if (nextStatus && nextStatus.category === 'done' && previousStatus.category !== 'done' && task.nextOccurrenceAt) {
+      await spawnNextOccurrence(task, req.user);
+      const { nextOccurrence, nextOccurrenceAt } = await Task.findById(task._id).select('nextOccurrence nextOccurrenceAt');
+      task.set({ nextOccurrence, nextOccurrenceAt });
+    }
+
+    if (changes.some(change => change.field === 'assignedTo') && task.assignedTo) {
+      await notifyAssignment(task, project, req.user);
+    }
+    if (nextStatus) {
+      await notifyStatusChange(task, project, req.user, before.status);
+    }
+    if (mentioned) {
+      await notifyNewMentions({ mentions: task.mentions, previous: previousMentions, actor: req.user, project, task });
+    }
+
     const updatedTask = await task.populate([
       { path: 'project', select: 'name' },
       { path: 'assignedTo', select: 'username email' },
       { path: 'createdBy', select: 'username email' }
     ]);
 
+    if (changes.length) {
+      publish('task.updated', { project, actor: req.user, data: updatedTask, changes });
+    }
+
     res.json({
       success: true,
       data: updatedTask
@@ -217,18 +610,40 @@ const deleteTask = async (req, res) => {
     }
 
     const project = await Project.findById(task.project);
-    if (project.owner.toString() !== req.user._id.toString()) {
+    if (!can(project, req.user, 'task:delete')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this task'
       });
     }
 
-    await task.deleteOne();
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    // Subtasks go to the trash with their parent; comments and files stay until the purge
+    const trashedIds = await trashTask(task, req.user);
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'deleted'
+    });
+
+    publish('task.deleted', { project, actor: req.user, data: { _id: task._id, title: task.title, trashed: trashedIds } });
 
     res.json({
       success: true,
-      message: 'Task removed'
+      message: 'Task moved to trash',
+      data: {
+        trashed: trashedIds,
+        purgeAt: purgeDate(task.deletedAt)
+      }
     });
   } catch (error) {
     console.error(error);
@@ -241,7 +656,228 @@ const deleteTask = async (req, res) => {
 };
 
 
-const addComment = async (req, res) => {
+const restoreTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!project) {
+      return res.status(409).json({
+        success: false,
+        message: 'The project of this task is in the trash; restore the project instead'
+      });
+    }
+
+    if (!can(project, req.user, 'task:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore this task'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    if (task.parent && !(await Task.exists({ _id: task.parent }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'The parent task is in the trash; restore it first'
+      });
+    }
+
+    const restored = await restoreTrashedTask(task, req.user);
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'restored'
+    });
+
+    publish('task.restored', { project, actor: req.user, data: task });
+
+    res.json({
+      success: true,
+      message: `${restored} task(s) restored`,
+      data: task
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring task',
+      error: error.message
+    });
+  }
+};
+
+
+const getTrashedTasks = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(project, req.user, 'task:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the trash of this project'
+      });
+    }
+
+    const errors = [];
+    const pagination = parsePagination(req.query, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const filter = { project: project._id, deletedAt: { $ne: null } };
+    const [tasks, total] = await Promise.all([
+      Task.find(filter)
+        .populate('deletedBy', 'username email')
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      Task.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: tasks.map(task => ({ ...task, purgeAt: purgeDate(task.deletedAt) })),
+      pagination: buildPagination(pagination, total)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed tasks',
+      error: error.message
+    });
+  }
+};
+
+
+const getTaskActivity = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const errors = [];
+    const pagination = parsePagination(req.query, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const filter = { entityType: 'task', entity: task._id };
+
+    const [activity, total] = await Promise.all([
+      Activity.find(filter)
+        .populate('actor', 'username email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Activity.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: activity,
+      pagination: buildPagination(pagination, total)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task activity',
+      error: error.message
+    });
+  }
+};
+
+const getSubtasks = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!can(project, req.user, 'task:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const subtasks = await Task.find({ parent: task._id })
+      .populate('assignedTo', 'username email')
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: 1 })
+      .lean();
+    const progress = await loadProgress(subtasks.map(subtask => subtask._id));
+
+    res.json({
+      success: true,
+      data: subtasks.map(subtask => ({ ...subtask, progress: progress.get(subtask._id.toString()) || 0 }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching subtasks',
+      error: error.message
+    });
+  }
+};
+
+
+const addChecklistItem = async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
 
@@ -253,39 +889,252 @@ const addComment = async (req, res) => {
     }
 
     const project = await Project.findById(task.project);
-    if (project.owner.toString() !== req.user._id.toString() && 
-        !project.members.includes(req.user._id)) {
+    if (!can(project, req.user, 'task:update')) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to comment on this task'
+        message: 'Not authorized to update this task'
       });
     }
 
-    const { text } = req.body;
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { text, done } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checklist item text is required'
+      });
+    }
 
-    task.comments.push({
+    task.checklist.push({
       text,
-      author: req.user._id
+      done: Boolean(done),
+      completedAt: done ? new Date() : undefined,
+      completedBy: done ? req.user._id : undefined
+    });
+    await task.save();
+
+    const item = task.checklist[task.checklist.length - 1];
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'checklist_item_added',
+      changes: [{ field: 'checklist', oldValue: null, newValue: { _id: item._id.toString(), text: item.text, done: item.done } }]
     });
 
+    publish('task.updated', { project, actor: req.user, data: task, changes: [{ field: 'checklist' }] });
+
+    res.status(201).json({
+      success: true,
+      data: task.checklist
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding checklist item',
+      error: error.message
+    });
+  }
+};
+
+
+const updateChecklistItem = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!can(project, req.user, 'task:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    const { text, done } = req.body;
+
+    if (text !== undefined && text !== null && typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Checklist item text must be a string'
+      });
+    }
+
+    const before = { _id: item._id.toString(), text: item.text, done: item.done };
+
+    item.text = text || item.text;
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.completedAt = item.done ? new Date() : undefined;
+      item.completedBy = item.done ? req.user._id : undefined;
+    }
     await task.save();
 
-    const updatedTask = await task.populate([
-      { path: 'project', select: 'name' },
-      { path: 'assignedTo', select: 'username email' },
-      { path: 'createdBy', select: 'username email' },
-      { path: 'comments.author', select: 'username email' }
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'checklist_item_updated',
+      changes: [{ field: 'checklist', oldValue: before, newValue: { _id: item._id.toString(), text: item.text, done: item.done } }]
+    });
+
+    publish('task.updated', { project, actor: req.user, data: task, changes: [{ field: 'checklist' }] });
+
+    res.json({
+      success: true,
+      data: task.checklist
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating checklist item',
+      error: error.message
+    });
+  }
+};
+
+
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!can(project, req.user, 'task:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (isArchived(project)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    const before = { _id: item._id.toString(), text: item.text, done: item.done };
+    item.deleteOne();
+    await task.save();
+
+    await recordActivity({
+      entityType: 'task',
+      entity: task,
+      project,
+      actor: req.user,
+      action: 'checklist_item_removed',
+      changes: [{ field: 'checklist', oldValue: before, newValue: null }]
+    });
+
+    publish('task.updated', { project, actor: req.user, data: task, changes: [{ field: 'checklist' }] });
+
+    res.json({
+      success: true,
+      data: task.checklist
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing checklist item',
+      error: error.message
+    });
+  }
+};
+
+// Tasks where the user is mentioned in the description or in a comment
+const getMentionedTasks = async (req, res) => {
+  try {
+    const { filter, sort, pagination, errors } = parseTaskQuery(req.query, req.user);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const [commentedTaskIds, projectIds] = await Promise.all([
+      Comment.distinct('task', { mentions: req.user._id, deletedAt: null }),
+      Project.distinct('_id', { $or: [{ owner: req.user._id }, { 'members.user': req.user._id }] })
+    ]);
+
+    filter.$and = [
+      { project: { $in: projectIds } },
+      { $or: [{ mentions: req.user._id }, { _id: { $in: commentedTaskIds } }] }
+    ];
+
+    const [tasks, total] = await Promise.all([
+      Task.find(filter)
+        .populate('project', 'name')
+        .populate('assignedTo', 'username email')
+        .populate('createdBy', 'username email')
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Task.countDocuments(filter)
     ]);
 
     res.json({
       success: true,
-      data: updatedTask
+      data: tasks,
+      pagination: buildPagination(pagination, total)
     });
   } catch (error) {
     console.error(error);
     res.status(500).json({
       success: false,
-      message: 'Error adding comment',
+      message: 'Error fetching mentioned tasks',
       error: error.message
     });
   }
@@ -294,9 +1143,16 @@ const addComment = async (req, res) => {
 module.exports = {
   getProjectTasks,
   getMyTasks,
+  getMentionedTasks,
   getTaskById,
   createTask,
   updateTask,
   deleteTask,
-  addComment
+  restoreTask,
+  getTrashedTasks,
+  getTaskActivity,
+  getSubtasks,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem
 }; 
\ No newline at end of file
@@ -1,9 +1,13 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Project = require('../models/Project');
+const { revokeUserSessions } = require('../utils/tokens');
+const { detachUser, purgeDate } = require('../services/trash');
 
 
 const getUsers = async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const users = await User.find({ deletedAt: null }).select('-password');
     res.json({
       success: true,
       data: users
@@ -86,15 +90,149 @@ const updateUser = async (req, res) => {
 };
 
 
+// Removing a user is a soft delete. Projects they own need a successor (?reassignTo=userId);
+// their assignments move to that successor where possible and are cleared otherwise.
 const deleteUser = async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await User.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own account'
+      });
+    }
+
+    const reassignTo = req.query.reassignTo || req.body.reassignTo;
+    let successor = null;
+
+    if (reassignTo) {
+      successor = mongoose.Types.ObjectId.isValid(reassignTo) &&
+        await User.findOne({ _id: reassignTo, deletedAt: null });
+
+      if (!successor || successor._id.toString() === user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'reassignTo must be another active user'
+        });
+      }
+    }
+
+    // Trashed projects count too: restoring one must not bring back a removed owner
+    const ownedProjects = await Project.find({ owner: user._id })
+      .setOptions({ withDeleted: true })
+      .select('name deletedAt');
+    if (ownedProjects.length && !successor) {
+      return res.status(409).json({
+        success: false,
+        message: 'User owns projects (trashed ones included); pass reassignTo to transfer them',
+        data: ownedProjects
+      });
+    }
+
+    const summary = await detachUser(user, successor, req.user);
+
+    user.deletedAt = new Date();
+    user.deletedBy = req.user._id;
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'User moved to trash',
+      data: {
+        ...summary,
+        purgeAt: purgeDate(user.deletedAt)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting user',
+      error: error.message
+    });
+  }
+};
+
+
+const getTrashedUsers = async (req, res) => {
+  try {
+    const users = await User.find({ deletedAt: { $ne: null }, anonymizedAt: null })
+      .select('-password')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: users.map(user => ({ ...user, purgeAt: purgeDate(user.deletedAt) }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed users',
+      error: error.message
+    });
+  }
+};
+
+
+// Memberships and assignments removed with the account are not brought back
+const restoreUser = async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await User.findOne({ _id: req.params.id, deletedAt: { $ne: null }, anonymizedAt: null });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in trash'
+      });
+    }
+
+    user.deletedAt = null;
+    user.deletedBy = null;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring user',
+      error: error.message
+    });
+  }
+};
+
+const revokeSessions = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
     if (user) {
-      await user.deleteOne();
+      await revokeUserSessions(user._id);
       res.json({
         success: true,
-        message: 'User removed'
+        message: 'All sessions revoked'
       });
     } else {
       res.status(404).json({
@@ -106,7 +244,7 @@ const deleteUser = async (req, res) => {
     console.error(error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting user',
+      message: 'Error revoking sessions',
       error: error.message
     });
   }
@@ -116,5 +254,8 @@ module.exports = {
   getUsers,
   getUserById,
   updateUser,
-  deleteUser
+  deleteUser,
+  getTrashedUsers,
+  restoreUser,
+  revokeSessions
 }; 
\ No newline at end of file
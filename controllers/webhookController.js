@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { can } = require('../utils/permissions');
+const { parsePagination, buildPagination } = require('../utils/taskQuery');
+const { EVENTS } = require('../services/events');
+const { generateSecret, checkWebhookUrl } = require('../services/webhooks');
+
+const validateWebhookInput = async ({ url, events }, errors) => {
+  if (url !== undefined) {
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) errors.push(urlError);
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events)) {
+      errors.push('events must be an array');
+    } else {
+      const unknown = events.filter(event => !EVENTS.includes(event));
+      if (unknown.length) {
+        errors.push(`Unknown events: ${unknown.join(', ')}. Allowed: ${EVENTS.join(', ')}`);
+      }
+    }
+  }
+};
+
+const findProjectForWebhooks = async (req, res) => {
+  const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  if (!can(project, req.user, 'project:manageWebhooks')) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage webhooks of this project'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+
+const getWebhooks = async (req, res) => {
+  try {
+    const project = await findProjectForWebhooks(req, res);
+    if (!project) return;
+
+    const webhooks = await Webhook.find({ project: project._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: webhooks
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks',
+      error: error.message
+    });
+  }
+};
+
+
+// The secret is only returned here and when rotated
+const createWebhook = async (req, res) => {
+  try {
+    const project = await findProjectForWebhooks(req, res);
+    if (!project) return;
+
+    const { url, events = [], active = true } = req.body;
+    const errors = [];
+
+    if (!url) errors.push('url is required');
+    await validateWebhookInput({ url, events }, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook',
+        errors
+      });
+    }
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      project: project._id,
+      url,
+      events,
+      active,
+      secret,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhook.toObject(), secret }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: error.message
+    });
+  }
+};
+
+
+const updateWebhook = async (req, res) => {
+  try {
+    const project = await findProjectForWebhooks(req, res);
+    if (!project) return;
+
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.webhookId) &&
+      await Webhook.findOne({ _id: req.params.webhookId, project: project._id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { url, events, active, rotateSecret } = req.body;
+    const errors = [];
+    await validateWebhookInput({ url, events }, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook',
+        errors
+      });
+    }
+
+    webhook.url = url || webhook.url;
+    webhook.events = events || webhook.events;
+    if (active !== undefined) webhook.active = Boolean(active);
+
+    let secret;
+    if (rotateSecret) {
+      secret = generateSecret();
+      webhook.secret = secret;
+    }
+
+    await webhook.save();
+
+    const data = webhook.toObject();
+    delete data.secret;
+    if (secret) data.secret = secret;
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook',
+      error: error.message
+    });
+  }
+};
+
+
+const deleteWebhook = async (req, res) => {
+  try {
+    const project = await findProjectForWebhooks(req, res);
+    if (!project) return;
+
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.webhookId) &&
+      await Webhook.findOne({ _id: req.params.webhookId, project: project._id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook',
+      error: error.message
+    });
+  }
+};
+
+
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const project = await findProjectForWebhooks(req, res);
+    if (!project) return;
+
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.webhookId) &&
+      await Webhook.findOne({ _id: req.params.webhookId, project: project._id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const errors = [];
+    const pagination = parsePagination(req.query, errors);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: buildPagination(pagination, total)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries
+};
\ No newline at end of file
@@ -1,34 +1,69 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-const protect = async (req, res, next) => {
-  let token;
+// Shared by every authenticated entry point so they all honour session revocation.
+// `scope` is the kind of scoped token expected (none for regular access tokens)
+const verifyToken = async (token, req, res, next, { scope = null, project = null } = {}) => {
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token'
+    });
+  }
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Scoped tokens only work where they were issued for, and never as access tokens
+    if ((decoded.scope || null) !== scope || (project && decoded.project !== project)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, token not valid for this resource'
+      });
+    }
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+    // Get user from token
+    const user = await User.findById(decoded.id).select('-password');
 
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401).json({
+    // Tokens issued before the last session revocation (or account removal) are no longer valid
+    if (!user || user.deletedAt || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
         success: false,
-        message: 'Not authorized, token failed'
+        message: 'Not authorized, token revoked'
       });
     }
-  }
 
-  if (!token) {
-    res.status(401).json({
+    req.user = user;
+    const expiresAt = decoded.sx || decoded.exp;
+    req.tokenExpiresAt = expiresAt ? new Date(expiresAt * 1000) : null;
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({
       success: false,
-      message: 'Not authorized, no token'
+      message: 'Not authorized, token failed'
     });
   }
+
+  next();
+};
+
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+const protect = (req, res, next) => verifyToken(getBearerToken(req), req, res, next);
+
+
+// EventSource cannot send headers, so streams also accept ?stream_token= with a token from
+// POST /api/projects/:id/events/token. Access tokens are never read from the URL
+const protectStream = (req, res, next) => {
+  const bearer = getBearerToken(req);
+  if (bearer) return verifyToken(bearer, req, res, next);
+
+  return verifyToken(req.query.stream_token, req, res, next, { scope: 'stream', project: req.params.id });
 };
 
 
@@ -43,4 +78,4 @@ const admin = (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin }; 
\ No newline at end of file
+module.exports = { protect, protectStream, admin }; 
\ No newline at end of file
@@ -0,0 +1,141 @@
+const path = require('path');
+const multer = require('multer');
+
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE, 10) || 10 * 1024 * 1024;
+const MAX_IMPORT_SIZE = parseInt(process.env.IMPORT_MAX_SIZE, 10) || 5 * 1024 * 1024;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const ALLOWED_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+const IMPORT_TYPES = ['text/csv', 'text/plain', 'application/json', 'application/vnd.ms-excel'];
+
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// What a file of each type must look like: accepted extensions and, for binary formats,
+// the leading bytes. Text types must not contain NUL bytes instead
+const FILE_SIGNATURES = {
+  'image/png': { extensions: ['.png'], magic: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]] },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], magic: [[0xff, 0xd8, 0xff]] },
+  'image/gif': { extensions: ['.gif'], magic: [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]] },
+  'image/webp': { extensions: ['.webp'], magic: [[0x52, 0x49, 0x46, 0x46]], check: buffer => buffer.toString('latin1', 8, 12) === 'WEBP' },
+  'application/pdf': { extensions: ['.pdf'], magic: [[0x25, 0x50, 0x44, 0x46, 0x2d]] },
+  'application/zip': { extensions: ['.zip'], magic: [ZIP_SIGNATURE] },
+  'application/msword': { extensions: ['.doc'], magic: [OLE_SIGNATURE] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensions: ['.docx'], magic: [ZIP_SIGNATURE] },
+  // Browsers also send this type for .csv files
+  'application/vnd.ms-excel': { extensions: ['.xls', '.csv'], magic: [OLE_SIGNATURE], textExtensions: ['.csv'] },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensions: ['.xlsx'], magic: [ZIP_SIGNATURE] },
+  'text/plain': { extensions: ['.txt', '.text', '.log', '.csv', '.md', '.json'], text: true },
+  'text/csv': { extensions: ['.csv'], text: true },
+  'text/markdown': { extensions: ['.md', '.markdown'], text: true },
+  'application/json': { extensions: ['.json'], text: true }
+};
+
+const TEXT_SNIFF_BYTES = 8 * 1024;
+
+const startsWith = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+// The client's MIME type is only a claim: the extension and the content must agree with it.
+// Types without a signature (added through ATTACHMENT_ALLOWED_TYPES) are taken as declared
+const matchesDeclaredType = (file) => {
+  const signature = FILE_SIGNATURES[file.mimetype];
+  if (!signature) return true;
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!signature.extensions.includes(extension)) return false;
+
+  if (signature.text || (signature.textExtensions || []).includes(extension)) {
+    return !file.buffer.subarray(0, TEXT_SNIFF_BYTES).includes(0);
+  }
+
+  return signature.magic.some(bytes => startsWith(file.buffer, bytes)) &&
+    (!signature.check || signature.check(file.buffer));
+};
+
+const typeFilter = (allowedTypes) => (req, file, cb) => {
+  if (!allowedTypes.includes(file.mimetype)) {
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = `File type ${file.mimetype} is not allowed`;
+    error.status = 415;
+    return cb(error);
+  }
+  cb(null, true);
+};
+
+// Files are kept in memory only until the controller hands them to the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: 1
+  },
+  fileFilter: typeFilter(ALLOWED_TYPES)
+});
+
+const importFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_SIZE,
+    files: 1
+  },
+  fileFilter: typeFilter(IMPORT_TYPES)
+});
+
+// Accepts a single multipart field named "file" and answers upload errors in the API format
+const singleFile = (uploader, maxSize) => (req, res, next) => {
+  uploader.single('file')(req, res, (error) => {
+    if (!error) {
+      if (req.file && !matchesDeclaredType(req.file)) {
+        return res.status(415).json({
+          success: false,
+          message: `File content does not match its type ${req.file.mimetype}`
+        });
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const status = error.status || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+      return res.status(status).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File exceeds the maximum size of ${maxSize} bytes`
+          : error.message
+      });
+    }
+
+    next(error);
+  });
+};
+
+const attachmentUpload = singleFile(upload, MAX_ATTACHMENT_SIZE);
+
+// CSV or JSON files for project/task imports; the body may also carry the data directly
+const importUpload = singleFile(importFile, MAX_IMPORT_SIZE);
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  MAX_IMPORT_SIZE,
+  ALLOWED_TYPES,
+  attachmentUpload,
+  importUpload
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  _id: false
+});
+
+const activitySchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['project', 'task'],
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+activitySchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+activitySchema.index({ project: 1, createdAt: -1 });
+
+// Activity entries are an audit trail: once written they cannot be changed
+activitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activity entries are immutable'));
+  }
+  next();
+});
+
+activitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Activity entries are immutable'));
+});
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+module.exports = Activity;
\ No newline at end of file
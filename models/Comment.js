@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Reply target; top-level comments have no parent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  text: {
+    type: String,
+    trim: true
+  },
+  // Users mentioned with @username in the text
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editHistory: [{
+    text: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date
+  },
+  // Deleted comments stay as placeholders so their replies keep their thread
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ task: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['assignment', 'mention', 'comment', 'status_change', 'due_soon', 'overdue'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Set for notifications that must only be sent once (e.g. one reminder per task, due date and offset)
+  dedupeKey: {
+    type: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
\ No newline at end of file
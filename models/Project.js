@@ -1,4 +1,81 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { MEMBER_ROLES } = require('../utils/permissions');
+const { STATUS_CATEGORIES, DEFAULT_WORKFLOW, defaultStatuses } = require('../utils/workflow');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'contributor'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const workflowStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: {
+    type: String,
+    required: true
+  }
+});
+
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'select', 'multiselect', 'user'],
+    required: true
+  },
+  // Allowed values of select and multiselect fields
+  options: [String],
+  required: {
+    type: Boolean,
+    default: false
+  }
+});
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -15,6 +92,11 @@ const projectSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'archived'],
     default: 'active'
   },
+  // Set while status is 'archived'; archived projects are read-only
+  archivedAt: {
+    type: Date,
+    default: null
+  },
   startDate: {
     type: Date,
     default: Date.now
@@ -27,14 +109,40 @@ const projectSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  members: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }]
+  members: [memberSchema],
+  // Ordered statuses (board columns) and allowed transitions for the project's tasks
+  workflow: {
+    statuses: {
+      type: [workflowStatusSchema],
+      default: defaultStatuses
+    },
+    transitions: [{
+      _id: false,
+      from: String,
+      to: String
+    }],
+    initialStatus: {
+      type: String,
+      default: DEFAULT_WORKFLOW.initialStatus
+    }
+  },
+  // Labels available to the project's tasks; tasks reference them by id
+  labels: [labelSchema],
+  // Typed fields every task of the project can fill in; tasks store values by key
+  customFields: [customFieldSchema]
 }, {
   timestamps: true
 });
 
+projectSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    this.archivedAt = this.status === 'archived' ? new Date() : null;
+  }
+  next();
+});
+
+projectSchema.plugin(softDelete);
+
 const Project = mongoose.model('Project', projectSchema);
 
 module.exports = Project; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One entry each time a task enters a status, or enters/leaves the project
+// (`from`/`to` null on creation, trashing and restoring). Replaying these
+// gives the state of a project on any past day for the flow reports.
+const statusTransitionSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    default: null
+  },
+  fromCategory: {
+    type: String,
+    default: null
+  },
+  toCategory: {
+    type: String,
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+statusTransitionSchema.index({ project: 1, at: 1 });
+statusTransitionSchema.index({ task: 1, at: 1 });
+
+const StatusTransition = mongoose.model('StatusTransition', statusTransitionSchema);
+
+module.exports = StatusTransition;
\ No newline at end of file
@@ -1,4 +1,38 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { STATUS_CATEGORIES } = require('../utils/workflow');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+
+// Normalized by utils/recurrence; copied to every occurrence of the series
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1
+  },
+  weekdays: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  monthDay: {
+    type: Number,
+    default: null
+  },
+  until: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: null
+  }
+}, {
+  _id: false
+});
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -10,16 +44,38 @@ const taskSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Key of one of the statuses defined in the project's workflow
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed'],
+    required: true,
     default: 'pending'
   },
+  // Category of `status` (todo, in_progress, done), kept in sync by the controllers
+  statusCategory: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    default: 'todo'
+  },
+  // When the task last entered a 'done' status; cleared if it is reopened
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Position inside its board column (ascending)
+  rank: {
+    type: Number,
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
     default: 'medium'
   },
+  // Numeric copy of priority (low = 1 ... high = 3) so lists sort in priority order
+  priorityRank: {
+    type: Number,
+    default: 2
+  },
   dueDate: {
     type: Date
   },
@@ -37,13 +93,100 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  comments: [{
-    text: String,
-    author: {
+  // Parent task for subtasks; top-level tasks have none
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Users mentioned with @username in the description
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Ids of labels defined in the project (Project.labels)
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Values of the project's custom fields (Project.customFields), keyed by field key
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Tasks that must be completed before this one can start
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  checklist: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    done: {
+      type: Boolean,
+      default: false
+    },
+    completedAt: {
+      type: Date
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Repeating tasks; requires a dueDate, which anchors the series
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // First task of the series this occurrence belongs to (itself for the first one)
+  recurrenceSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // 1-based position in the series, checked against recurrence.count
+  occurrence: {
+    type: Number,
+    default: null
+  },
+  // The occurrence generated after this one
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // When the next occurrence is due to be generated if this one is not completed first;
+  // cleared once it has been generated or the series has ended
+  nextOccurrenceAt: {
+    type: Date,
+    default: null
+  },
+  // Files kept in the storage backend; only their metadata lives here
+  attachments: [{
+    key: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String,
+      required: true
+    },
+    mimeType: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    createdAt: {
+    uploadedAt: {
       type: Date,
       default: Date.now
     }
@@ -52,6 +195,35 @@ const taskSchema = new mongoose.Schema({
   timestamps: true
 });
 
+taskSchema.index({ project: 1, status: 1, createdAt: -1 });
+taskSchema.index({ project: 1, statusCategory: 1 });
+taskSchema.index({ project: 1, status: 1, rank: 1 });
+taskSchema.index({ assignedTo: 1, createdAt: -1 });
+taskSchema.index({ project: 1, dueDate: 1 });
+taskSchema.index({ project: 1, completedAt: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ mentions: 1 });
+taskSchema.index({ project: 1, labels: 1 });
+taskSchema.index({ nextOccurrenceAt: 1 });
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Runs on save and insertMany alike
+taskSchema.pre('validate', function(next) {
+  this.priorityRank = PRIORITY_RANK[this.priority] || PRIORITY_RANK.medium;
+  next();
+});
+
+taskSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('statusCategory')) {
+    this.completedAt = this.statusCategory === 'done' ? (this.completedAt || new Date()) : null;
+  }
+  next();
+});
+
+taskSchema.plugin(softDelete);
+
 const Task = mongoose.model('Task', taskSchema);
 
 module.exports = Task; 
\ No newline at end of file
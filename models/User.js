@@ -35,6 +35,42 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['admin', 'user'],
     default: 'user'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Bumped to invalidate every access token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Secret of the personal calendar feed URLs; only its hash is stored
+  calendarTokenHash: {
+    type: String,
+    select: false,
+    index: true
+  },
+  calendarTokenCreatedAt: {
+    type: Date
+  },
+  // Removed accounts stay in the trash until the retention window ends,
+  // then they are anonymized so tasks and history keep a valid reference
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  anonymizedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Event names to deliver; empty means every event
+  events: [{
+    type: String
+  }],
+  // Used to sign payloads (HMAC-SHA256); only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Read operations that hide soft-deleted documents. Bulk updates and distinct are
+// left untouched on purpose so maintenance (workflow remaps, reference cleanups)
+// also reaches documents sitting in the trash.
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments'];
+
+// Adds deletedAt/deletedBy and hides trashed documents unless the query
+// filters on deletedAt itself or runs with `.setOptions({ withDeleted: true })`
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const firstStage = this.pipeline()[0];
+    if (firstStage && firstStage.$match && Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt')) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
\ No newline at end of file
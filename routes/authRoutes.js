@@ -1,6 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getProfile,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 
 /**
@@ -39,7 +49,7 @@ const { protect } = require('../middleware/auth');
  *                 description: Apellido
  *     responses:
  *       201:
- *         description: Usuario creado exitosamente
+ *         description: Usuario creado exitosamente; se envía un correo de verificación
  *       400:
  *         description: El usuario ya existe
  */
@@ -72,6 +82,8 @@ router.post('/register', register);
  *         description: Inicio de sesión exitoso
  *       401:
  *         description: Credenciales inválidas
+ *       403:
+ *         description: El correo electrónico no ha sido verificado
  */
 router.post('/login', login);
 
@@ -91,4 +103,162 @@ router.post('/login', login);
  */
 router.get('/profile', protect, getProfile);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar el token de acceso usando un refresh token
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token vigente (se invalida y se emite uno nuevo)
+ *     responses:
+ *       200:
+ *         description: Tokens renovados exitosamente
+ *       401:
+ *         description: Refresh token inválido, expirado o revocado
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar sesión revocando el refresh token
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token de la sesión a cerrar
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ */
+router.post('/logout', logout);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verificar el correo electrónico con el token recibido
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token de verificación
+ *     responses:
+ *       200:
+ *         description: Correo verificado exitosamente
+ *       400:
+ *         description: Token inválido o expirado
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Reenviar el correo de verificación
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: Correo electrónico
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ *       400:
+ *         description: Correo electrónico no indicado
+ */
+router.post('/resend-verification', resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar el restablecimiento de contraseña
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: Correo electrónico
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ *       400:
+ *         description: Correo electrónico no indicado
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablecer la contraseña con el token recibido
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token de restablecimiento
+ *               password:
+ *                 type: string
+ *                 description: Nueva contraseña
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida exitosamente
+ *       400:
+ *         description: Token inválido o expirado
+ */
+router.post('/reset-password', resetPassword);
+
 module.exports = router; 
\ No newline at end of file
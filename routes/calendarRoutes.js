@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCalendarToken,
+  regenerateCalendarToken,
+  deleteCalendarToken,
+  getTasksFeed,
+  getProjectFeed
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/calendar/token:
+ *   get:
+ *     summary: Consultar si el usuario tiene activados los calendarios iCalendar
+ *     tags: [Calendario]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estado de los calendarios del usuario
+ *       401:
+ *         description: No autorizado
+ */
+router.get('/token', protect, getCalendarToken);
+
+/**
+ * @swagger
+ * /api/calendar/token:
+ *   post:
+ *     summary: Generar (o regenerar) el token de los calendarios iCalendar
+ *     description: >
+ *       Devuelve el token y las URLs de suscripción una sola vez. Al regenerarlo,
+ *       las URLs anteriores dejan de funcionar.
+ *     tags: [Calendario]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Token generado exitosamente
+ *       401:
+ *         description: No autorizado
+ */
+router.post('/token', protect, regenerateCalendarToken);
+
+/**
+ * @swagger
+ * /api/calendar/token:
+ *   delete:
+ *     summary: Desactivar los calendarios iCalendar del usuario
+ *     tags: [Calendario]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendarios desactivados
+ *       401:
+ *         description: No autorizado
+ */
+router.delete('/token', protect, deleteCalendarToken);
+
+/**
+ * @swagger
+ * /api/calendar/{token}/tasks.ics:
+ *   get:
+ *     summary: Calendario con las fechas de vencimiento de las tareas asignadas al usuario
+ *     description: >
+ *       Autenticado por el token del calendario. Acepta los mismos filtros que /api/tasks/my-tasks.
+ *     tags: [Calendario]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         description: Tipo de entrada iCalendar (VEVENT o VTODO)
+ *         schema:
+ *           type: string
+ *           enum: [event, todo]
+ *           default: event
+ *     responses:
+ *       200:
+ *         description: Calendario en formato text/calendar
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       404:
+ *         description: Token no válido
+ */
+router.get('/:token/tasks.ics', getTasksFeed);
+
+/**
+ * @swagger
+ * /api/calendar/{token}/projects/{projectId}.ics:
+ *   get:
+ *     summary: Calendario con las fechas de vencimiento de las tareas de un proyecto
+ *     tags: [Calendario]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         description: Tipo de entrada iCalendar (VEVENT o VTODO)
+ *         schema:
+ *           type: string
+ *           enum: [event, todo]
+ *           default: event
+ *     responses:
+ *       200:
+ *         description: Calendario en formato text/calendar
+ *       403:
+ *         description: El usuario ya no tiene acceso al proyecto
+ *       404:
+ *         description: Token o proyecto no encontrado
+ */
+router.get('/:token/projects/:projectId.ics', getProjectFeed);
+
+module.exports = router;
\ No newline at end of file
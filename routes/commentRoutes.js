@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getComments,
+  getCommentById,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const { protect } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   get:
+ *     summary: Listar los comentarios de una tarea (o las respuestas de un comentario)
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: parent
+ *         description: ID del comentario cuyas respuestas se quieren listar
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         description: Número de página (por defecto 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Comentarios por página (por defecto 20, máximo 100)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista paginada de comentarios obtenida exitosamente
+ *       404:
+ *         description: Tarea no encontrada
+ */
+router.get('/', protect, getComments);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   post:
+ *     summary: Agregar comentario o respuesta a una tarea
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: Texto del comentario (admite menciones @usuario a miembros del proyecto)
+ *               parentId:
+ *                 type: string
+ *                 description: ID del comentario al que se responde
+ *     responses:
+ *       201:
+ *         description: Comentario agregado exitosamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       404:
+ *         description: Tarea no encontrada
+ */
+router.post('/', protect, createComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   get:
+ *     summary: Obtener un comentario con su historial de ediciones
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         description: ID del comentario
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comentario obtenido exitosamente
+ *       404:
+ *         description: Tarea o comentario no encontrado
+ */
+router.get('/:commentId', protect, getCommentById);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Editar un comentario (solo el autor)
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         description: ID del comentario
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: Nuevo texto del comentario
+ *     responses:
+ *       200:
+ *         description: Comentario actualizado exitosamente
+ *       403:
+ *         description: Solo el autor puede editar el comentario
+ *       404:
+ *         description: Tarea o comentario no encontrado
+ */
+router.put('/:commentId', protect, updateComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Eliminar un comentario (autor o propietario del proyecto)
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         description: ID del comentario
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comentario eliminado exitosamente
+ *       403:
+ *         description: No autorizado para eliminar el comentario
+ *       404:
+ *         description: Tarea o comentario no encontrado
+ */
+router.delete('/:commentId', protect, deleteComment);
+
+module.exports = router;
\ No newline at end of file
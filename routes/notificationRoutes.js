@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationsRead,
+  markNotificationRead
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Obtener las notificaciones del usuario autenticado
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         description: Solo notificaciones no leídas
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         description: Número de página (por defecto 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Notificaciones por página (por defecto 20, máximo 100)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista paginada de notificaciones con el total de no leídas
+ *       401:
+ *         description: No autorizado
+ */
+router.get('/', protect, getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/read:
+ *   put:
+ *     summary: Marcar notificaciones como leídas (todas si no se envían IDs)
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 description: IDs de las notificaciones a marcar
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Notificaciones actualizadas exitosamente
+ *       400:
+ *         description: IDs inválidos
+ */
+router.put('/read', protect, markNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Marcar una notificación como leída o no leída
+ *     tags: [Notificaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la notificación
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               read:
+ *                 type: boolean
+ *                 description: false para marcarla como no leída (por defecto true)
+ *     responses:
+ *       200:
+ *         description: Notificación actualizada exitosamente
+ *       404:
+ *         description: Notificación no encontrada
+ */
+router.put('/:id/read', protect, markNotificationRead);
+
+module.exports = router;
\ No newline at end of file
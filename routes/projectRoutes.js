@@ -6,10 +6,44 @@ const {
   createProject,
   updateProject,
   deleteProject,
+  archiveProject,
+  unarchiveProject,
+  getTrashedProjects,
+  restoreProject,
   addProjectMember,
-  removeProjectMember
+  removeProjectMember,
+  updateProjectMemberRole,
+  getProjectActivity,
+  getProjectWorkflow,
+  updateProjectWorkflow
 } = require('../controllers/projectController');
-const { protect } = require('../middleware/auth');
+const { getDependencyGraph } = require('../controllers/dependencyController');
+const { getBoard } = require('../controllers/boardController');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries
+} = require('../controllers/webhookController');
+const { createStreamToken, streamProjectEvents } = require('../controllers/realtimeController');
+const { getProjectStats, getBurndown, getCumulativeFlow } = require('../controllers/reportController');
+const { exportProject, importTasks, importProject } = require('../controllers/importExportController');
+const {
+  getProjectLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  mergeLabel
+} = require('../controllers/labelController');
+const {
+  getProjectCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
+const { protect, protectStream } = require('../middleware/auth');
+const { importUpload } = require('../middleware/upload');
 
 /**
  * @swagger
@@ -19,6 +53,12 @@ const { protect } = require('../middleware/auth');
  *     tags: [Proyectos]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         description: Incluir los proyectos archivados (por defecto se excluyen)
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: Lista de proyectos obtenida exitosamente
@@ -27,6 +67,69 @@ const { protect } = require('../middleware/auth');
  */
 router.get('/', protect, getProjects);
 
+/**
+ * @swagger
+ * /api/projects/trash:
+ *   get:
+ *     summary: Listar los proyectos propios que están en la papelera
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Proyectos en la papelera con su fecha de eliminación definitiva (purgeAt)
+ *       401:
+ *         description: No autorizado
+ */
+router.get('/trash', protect, getTrashedProjects);
+
+/**
+ * @swagger
+ * /api/projects/import:
+ *   post:
+ *     summary: Crear un proyecto nuevo a partir de una exportación JSON
+ *     description: >
+ *       El usuario autenticado queda como propietario. Los miembros, responsables y autores
+ *       se asocian por email o nombre de usuario. Creadores y autores de comentarios que no sean
+ *       miembros del proyecto se sustituyen por el usuario que importa (el comentario conserva el
+ *       nombre original en el texto). No se crea nada si algún dato es inválido.
+ *     tags: [Importación y exportación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         description: Solo validar, sin crear el proyecto
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Documento generado por GET /api/projects/{id}/export
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Validación correcta (dryRun)
+ *       201:
+ *         description: Proyecto importado exitosamente
+ *       400:
+ *         description: Datos de importación ilegibles
+ *       422:
+ *         description: Errores de validación del proyecto, los miembros o cada fila de tareas
+ */
+router.post('/import', protect, importUpload, importProject);
+
 /**
  * @swagger
  * /api/projects/{id}:
@@ -83,9 +186,17 @@ router.get('/:id', protect, getProjectById);
  *                 description: Fecha de finalización
  *               members:
  *                 type: array
- *                 description: Lista de IDs de usuarios miembros
+ *                 description: Lista de miembros (ID de usuario o objeto con usuario y rol)
  *                 items:
- *                   type: string
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         user:
+ *                           type: string
+ *                         role:
+ *                           type: string
+ *                           enum: [maintainer, contributor, viewer]
  *     responses:
  *       201:
  *         description: Proyecto creado exitosamente
@@ -136,9 +247,17 @@ router.post('/', protect, createProject);
  *                 description: Fecha de finalización
  *               members:
  *                 type: array
- *                 description: Lista de IDs de usuarios miembros
+ *                 description: Lista de miembros (ID de usuario o objeto con usuario y rol)
  *                 items:
- *                   type: string
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         user:
+ *                           type: string
+ *                         role:
+ *                           type: string
+ *                           enum: [maintainer, contributor, viewer]
  *     responses:
  *       200:
  *         description: Proyecto actualizado exitosamente
@@ -151,7 +270,8 @@ router.put('/:id', protect, updateProject);
  * @swagger
  * /api/projects/{id}:
  *   delete:
- *     summary: Eliminar proyecto
+ *     summary: Enviar un proyecto a la papelera junto con sus tareas
+ *     description: El proyecto se puede restaurar hasta que se cumpla el periodo de retención (TRASH_RETENTION_DAYS, 30 días por defecto)
  *     tags: [Proyectos]
  *     security:
  *       - bearerAuth: []
@@ -164,12 +284,87 @@ router.put('/:id', protect, updateProject);
  *           type: string
  *     responses:
  *       200:
- *         description: Proyecto eliminado exitosamente
+ *         description: Proyecto enviado a la papelera exitosamente
  *       404:
  *         description: Proyecto no encontrado
  */
 router.delete('/:id', protect, deleteProject);
 
+/**
+ * @swagger
+ * /api/projects/{id}/restore:
+ *   post:
+ *     summary: Restaurar un proyecto de la papelera junto con las tareas eliminadas con él
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proyecto restaurado exitosamente
+ *       403:
+ *         description: No autorizado
+ *       404:
+ *         description: El proyecto no está en la papelera
+ */
+router.post('/:id/restore', protect, restoreProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}/archive:
+ *   post:
+ *     summary: Archivar un proyecto (queda en solo lectura)
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proyecto archivado exitosamente
+ *       403:
+ *         description: Solo el propietario puede archivar
+ *       409:
+ *         description: El proyecto ya está archivado
+ */
+router.post('/:id/archive', protect, archiveProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}/unarchive:
+ *   post:
+ *     summary: Desarchivar un proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proyecto desarchivado exitosamente
+ *       403:
+ *         description: Solo el propietario puede desarchivar
+ *       409:
+ *         description: El proyecto no está archivado
+ */
+router.post('/:id/unarchive', protect, unarchiveProject);
+
 /**
  * @swagger
  * /api/projects/{id}/members:
@@ -197,9 +392,15 @@ router.delete('/:id', protect, deleteProject);
  *               userId:
  *                 type: string
  *                 description: ID del usuario a agregar
+ *               role:
+ *                 type: string
+ *                 enum: [maintainer, contributor, viewer]
+ *                 description: Rol del miembro en el proyecto (por defecto contributor)
  *     responses:
  *       200:
  *         description: Miembro agregado exitosamente
+ *       403:
+ *         description: No autorizado para gestionar miembros con ese rol
  *       404:
  *         description: Proyecto no encontrado
  */
@@ -234,6 +435,1067 @@ router.post('/:id/members', protect, addProjectMember);
  */
 router.delete('/:id/members/:userId', protect, removeProjectMember);
 
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Cambiar el rol de un miembro del proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: ID del usuario miembro
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [maintainer, contributor, viewer]
+ *                 description: Nuevo rol del miembro
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *       403:
+ *         description: No autorizado para asignar ese rol
+ *       404:
+ *         description: Proyecto o miembro no encontrado
+ */
+router.put('/:id/members/:userId', protect, updateProjectMemberRole);
+
+/**
+ * @swagger
+ * /api/projects/{id}/activity:
+ *   get:
+ *     summary: Obtener el historial de actividad de un proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeTasks
+ *         description: Incluir la actividad de las tareas del proyecto
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         description: Número de página (por defecto 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Entradas por página (por defecto 20, máximo 100)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Historial de actividad obtenido exitosamente
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/activity', protect, getProjectActivity);
+
+/**
+ * @swagger
+ * /api/projects/{id}/dependencies:
+ *   get:
+ *     summary: Obtener el grafo de dependencias entre tareas del proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grafo de dependencias (nodos y aristas bloqueante → bloqueada)
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/dependencies', protect, getDependencyGraph);
+
+/**
+ * @swagger
+ * /api/projects/{id}/workflow:
+ *   get:
+ *     summary: Obtener el flujo de trabajo (estados y transiciones) del proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flujo de trabajo obtenido exitosamente
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/workflow', protect, getProjectWorkflow);
+
+/**
+ * @swagger
+ * /api/projects/{id}/workflow:
+ *   put:
+ *     summary: Reemplazar el flujo de trabajo del proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - statuses
+ *             properties:
+ *               statuses:
+ *                 type: array
+ *                 description: Estados ordenados (columnas del tablero)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Clave única (minúsculas, dígitos y guiones bajos)
+ *                     name:
+ *                       type: string
+ *                       description: Nombre visible
+ *                     category:
+ *                       type: string
+ *                       enum: [todo, in_progress, done]
+ *                       description: Categoría del estado
+ *               transitions:
+ *                 type: array
+ *                 description: Transiciones permitidas (vacío permite cualquier transición)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *               initialStatus:
+ *                 type: string
+ *                 description: Estado asignado a las tareas nuevas (por defecto el primero)
+ *               statusMap:
+ *                 type: object
+ *                 description: Estado nuevo para las tareas cuyos estados se eliminan (clave anterior → clave nueva)
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Flujo de trabajo actualizado exitosamente
+ *       400:
+ *         description: Flujo inválido o estados en uso sin mapear
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.put('/:id/workflow', protect, updateProjectWorkflow);
+
+/**
+ * @swagger
+ * /api/projects/{id}/labels:
+ *   get:
+ *     summary: Listar las etiquetas del proyecto con el número de tareas de cada una
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Etiquetas obtenidas exitosamente
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/labels', protect, getProjectLabels);
+
+/**
+ * @swagger
+ * /api/projects/{id}/labels:
+ *   post:
+ *     summary: Crear una etiqueta en el proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Nombre único dentro del proyecto (máximo 50 caracteres)
+ *               color:
+ *                 type: string
+ *                 description: Color hexadecimal (ej. #3b82f6); si se omite se asigna uno
+ *     responses:
+ *       201:
+ *         description: Etiqueta creada exitosamente
+ *       400:
+ *         description: Nombre repetido, color inválido o límite de etiquetas alcanzado
+ *       403:
+ *         description: Solo maintainers y el propietario gestionan etiquetas
+ *       409:
+ *         description: El proyecto está archivado
+ */
+router.post('/:id/labels', protect, createLabel);
+
+/**
+ * @swagger
+ * /api/projects/{id}/labels/{labelId}:
+ *   put:
+ *     summary: Renombrar o cambiar el color de una etiqueta (se aplica a todas sus tareas)
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         description: ID de la etiqueta
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Nombre único dentro del proyecto (máximo 50 caracteres)
+ *               color:
+ *                 type: string
+ *                 description: Color hexadecimal (ej. #3b82f6); si se omite se asigna uno
+ *     responses:
+ *       200:
+ *         description: Etiqueta actualizada exitosamente
+ *       400:
+ *         description: Nombre repetido o color inválido
+ *       404:
+ *         description: Etiqueta no encontrada
+ */
+router.put('/:id/labels/:labelId', protect, updateLabel);
+
+/**
+ * @swagger
+ * /api/projects/{id}/labels/{labelId}:
+ *   delete:
+ *     summary: Eliminar una etiqueta y quitarla de todas las tareas
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         description: ID de la etiqueta
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Etiqueta eliminada exitosamente
+ *       404:
+ *         description: Etiqueta no encontrada
+ */
+router.delete('/:id/labels/:labelId', protect, deleteLabel);
+
+/**
+ * @swagger
+ * /api/projects/{id}/labels/{labelId}/merge:
+ *   post:
+ *     summary: Fusionar la etiqueta en otra; sus tareas pasan a la etiqueta destino y esta se elimina
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         description: ID de la etiqueta
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - into
+ *             properties:
+ *               into:
+ *                 type: string
+ *                 description: ID de la etiqueta destino
+ *     responses:
+ *       200:
+ *         description: Etiquetas fusionadas exitosamente
+ *       400:
+ *         description: Etiqueta destino inválida
+ *       404:
+ *         description: Etiqueta no encontrada
+ */
+router.post('/:id/labels/:labelId/merge', protect, mergeLabel);
+
+/**
+ * @swagger
+ * /api/projects/{id}/custom-fields:
+ *   get:
+ *     summary: Listar los campos personalizados del proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campos personalizados obtenidos exitosamente
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/custom-fields', protect, getProjectCustomFields);
+
+/**
+ * @swagger
+ * /api/projects/{id}/custom-fields:
+ *   post:
+ *     summary: Crear un campo personalizado con tipo para las tareas del proyecto
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *               - name
+ *               - type
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 description: Identificador único en el proyecto (minúsculas, dígitos y guiones bajos); no se puede cambiar
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, date, select, multiselect, user]
+ *                 description: Tipo de valor; no se puede cambiar
+ *               name:
+ *                 type: string
+ *                 description: Nombre visible del campo
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Valores permitidos (solo para select y multiselect)
+ *               required:
+ *                 type: boolean
+ *                 description: Si las tareas deben tener un valor (se comprueba al crear y al editar el campo en la tarea)
+ *     responses:
+ *       201:
+ *         description: Campo creado exitosamente
+ *       400:
+ *         description: Clave repetida, tipo u opciones inválidos o límite de campos alcanzado
+ *       403:
+ *         description: Solo el propietario gestiona los campos personalizados
+ *       409:
+ *         description: El proyecto está archivado
+ */
+router.post('/:id/custom-fields', protect, createCustomField);
+
+/**
+ * @swagger
+ * /api/projects/{id}/custom-fields/{fieldId}:
+ *   put:
+ *     summary: Editar nombre, opciones u obligatoriedad de un campo; las opciones eliminadas se borran de las tareas
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         description: ID del campo personalizado
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Nombre visible del campo
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Valores permitidos (solo para select y multiselect)
+ *               required:
+ *                 type: boolean
+ *                 description: Si las tareas deben tener un valor (se comprueba al crear y al editar el campo en la tarea)
+ *     responses:
+ *       200:
+ *         description: Campo actualizado exitosamente
+ *       400:
+ *         description: Datos inválidos o intento de cambiar la clave o el tipo
+ *       404:
+ *         description: Campo no encontrado
+ */
+router.put('/:id/custom-fields/:fieldId', protect, updateCustomField);
+
+/**
+ * @swagger
+ * /api/projects/{id}/custom-fields/{fieldId}:
+ *   delete:
+ *     summary: Eliminar un campo personalizado y sus valores en todas las tareas
+ *     tags: [Proyectos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         description: ID del campo personalizado
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campo eliminado exitosamente
+ *       404:
+ *         description: Campo no encontrado
+ */
+router.delete('/:id/custom-fields/:fieldId', protect, deleteCustomField);
+
+/**
+ * @swagger
+ * /api/projects/{id}/board:
+ *   get:
+ *     summary: Obtener el tablero Kanban del proyecto (una columna por estado)
+ *     tags: [Tablero]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         description: Filtrar por usuario asignado (IDs separados por comas, "me" o "none")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         description: Filtrar por prioridad (lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         description: Texto a buscar en título y descripción
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cf
+ *         description: Filtros por campos personalizados, ej. cf[sprint]=s1,s2 o cf[points][gte]=3
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *       - in: query
+ *         name: limit
+ *         description: Máximo de tareas por columna (por defecto 100, máximo 500)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tablero obtenido exitosamente
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/board', protect, getBoard);
+
+/**
+ * @swagger
+ * /api/projects/{id}/stats:
+ *   get:
+ *     summary: Estadísticas del proyecto para el panel (por estado, prioridad, vencidas, carga por usuario, tasa de finalización y tiempo de ciclo)
+ *     description: El tiempo de ciclo se mide desde la creación de la tarea hasta que entra en un estado de categoría "done".
+ *     tags: [Reportes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Inicio del periodo para la tasa de finalización (por defecto hace 90 días)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Fin del periodo (por defecto hoy)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: interval
+ *         description: Agrupación de la tasa de finalización
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *     responses:
+ *       200:
+ *         description: Estadísticas calculadas exitosamente
+ *       400:
+ *         description: Parámetros inválidos
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/stats', protect, getProjectStats);
+
+/**
+ * @swagger
+ * /api/projects/{id}/reports/burndown:
+ *   get:
+ *     summary: Burndown diario (tareas abiertas restantes y línea ideal) entre startDate y endDate
+ *     tags: [Reportes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         description: Primer día del reporte (por defecto la fecha de inicio del proyecto)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         description: Último día del reporte (por defecto la fecha de fin del proyecto u hoy)
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Serie diaria con remaining, completed e ideal (remaining es null en días futuros)
+ *       400:
+ *         description: Rango de fechas inválido
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/reports/burndown', protect, getBurndown);
+
+/**
+ * @swagger
+ * /api/projects/{id}/reports/cumulative-flow:
+ *   get:
+ *     summary: Flujo acumulado (tareas por estado al final de cada día) entre startDate y endDate
+ *     tags: [Reportes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         description: Primer día del reporte (por defecto la fecha de inicio del proyecto)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         description: Último día del reporte (por defecto la fecha de fin del proyecto u hoy)
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Fechas y una serie por estado del flujo de trabajo
+ *       400:
+ *         description: Rango de fechas inválido
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/reports/cumulative-flow', protect, getCumulativeFlow);
+
+/**
+ * @swagger
+ * /api/projects/{id}/export:
+ *   get:
+ *     summary: Exportar el proyecto (JSON con miembros, tareas y comentarios) o sus tareas en CSV
+ *     tags: [Importación y exportación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Archivo de exportación
+ *       400:
+ *         description: Formato no soportado
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/export', protect, exportProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}/import:
+ *   post:
+ *     summary: Importar tareas en el proyecto desde CSV o JSON
+ *     description: >
+ *       Acepta un archivo (campo file), un CSV en el campo csv, o una lista de tareas en tasks.
+ *       Los responsables se asocian por email o nombre de usuario y deben ser miembros del proyecto.
+ *       Creadores y autores de comentarios que no sean miembros se sustituyen por el usuario que importa.
+ *       Las columnas parent y blockedBy pueden referirse a la columna id de otras filas o a tareas existentes.
+ *       No se importa nada si alguna fila es inválida.
+ *     tags: [Importación y exportación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dryRun
+ *         description: Solo validar, sin crear tareas
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *               tasks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               dryRun:
+ *                 type: boolean
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Validación correcta (dryRun)
+ *       201:
+ *         description: Tareas importadas exitosamente
+ *       400:
+ *         description: Datos de importación ilegibles
+ *       409:
+ *         description: El proyecto está archivado
+ *       422:
+ *         description: Errores de validación por fila
+ */
+router.post('/:id/import', protect, importUpload, importTasks);
+
+/**
+ * @swagger
+ * /api/projects/{id}/events:
+ *   get:
+ *     summary: Suscribirse en tiempo real a los cambios de tareas y comentarios del proyecto (Server-Sent Events)
+ *     description: |
+ *       Mantiene abierta una conexión text/event-stream. Cada mensaje lleva el nombre del evento
+ *       (task.created, task.updated, task.reordered, task.deleted, comment.added, comment.updated, comment.deleted)
+ *       y el mismo payload JSON que los webhooks. El servidor envía "close" y cierra la conexión
+ *       cuando el token expira, el usuario pierde acceso o el proyecto se elimina.
+ *     tags: [Tiempo real]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stream_token
+ *         description: >
+ *           Token de corta duración obtenido en POST /api/projects/{id}/events/token, para clientes
+ *           EventSource que no pueden enviar la cabecera Authorization. El JWT de acceso no se acepta en la URL
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flujo de eventos abierto
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin acceso al proyecto
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/events', protectStream, streamProjectEvents);
+
+/**
+ * @swagger
+ * /api/projects/{id}/events/token:
+ *   post:
+ *     summary: Obtener un token de corta duración para abrir el flujo de eventos del proyecto
+ *     description: |
+ *       El token solo sirve como ?stream_token= en GET /api/projects/{id}/events de este proyecto
+ *       y caduca en un minuto (STREAM_TOKEN_EXPIRES_IN). El flujo abierto con él se cierra cuando
+ *       expira el token de acceso con el que se pidió.
+ *     tags: [Tiempo real]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Token creado exitosamente
+ *       403:
+ *         description: Sin acceso al proyecto
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.post('/:id/events/token', protect, createStreamToken);
+
+/**
+ * @swagger
+ * /api/projects/{id}/webhooks:
+ *   get:
+ *     summary: Listar los webhooks del proyecto (solo el propietario)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista de webhooks obtenida exitosamente
+ *       403:
+ *         description: No autorizado
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/:id/webhooks', protect, getWebhooks);
+
+/**
+ * @swagger
+ * /api/projects/{id}/webhooks:
+ *   post:
+ *     summary: Registrar un webhook (el secreto de firma solo se devuelve en esta respuesta)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: URL http(s) pública que recibirá los eventos (no se admiten direcciones locales, privadas ni link-local; no se siguen redirecciones)
+ *               events:
+ *                 type: array
+ *                 description: Eventos a recibir (vacío para todos)
+ *                 items:
+ *                   type: string
+ *                   enum: [task.created, task.updated, task.reordered, task.deleted, comment.added, comment.updated, comment.deleted, member.added, member.updated, member.removed, project.updated, project.deleted, project.restored, task.restored]
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Webhook creado exitosamente
+ *       400:
+ *         description: Datos inválidos
+ *       403:
+ *         description: No autorizado
+ */
+router.post('/:id/webhooks', protect, createWebhook);
+
+/**
+ * @swagger
+ * /api/projects/{id}/webhooks/{webhookId}:
+ *   put:
+ *     summary: Actualizar un webhook o rotar su secreto
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         description: ID del webhook
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *               rotateSecret:
+ *                 type: boolean
+ *                 description: Genera un nuevo secreto y lo devuelve en la respuesta
+ *     responses:
+ *       200:
+ *         description: Webhook actualizado exitosamente
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Webhook no encontrado
+ */
+router.put('/:id/webhooks/:webhookId', protect, updateWebhook);
+
+/**
+ * @swagger
+ * /api/projects/{id}/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Eliminar un webhook y su historial de entregas
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         description: ID del webhook
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook eliminado exitosamente
+ *       404:
+ *         description: Webhook no encontrado
+ */
+router.delete('/:id/webhooks/:webhookId', protect, deleteWebhook);
+
+/**
+ * @swagger
+ * /api/projects/{id}/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Consultar el registro de entregas de un webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         description: ID del webhook
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         description: Filtrar por estado de la entrega
+ *         schema:
+ *           type: string
+ *           enum: [pending, success, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entregas obtenidas exitosamente
+ *       404:
+ *         description: Webhook no encontrado
+ */
+router.get('/:id/webhooks/:webhookId/deliveries', protect, getWebhookDeliveries);
+
 // Ruta de depuración temporal
 router.get('/debug/:id', async (req, res) => {
   try {
@@ -264,7 +1526,7 @@ router.get('/debug/:id', async (req, res) => {
       projectExists: true,
       owner: project.owner.toString(),
       membersCount: project.members.length,
-      members: project.members.map(m => m.toString())
+      members: project.members.map(m => ({ user: m.user.toString(), role: m.role }))
     });
   } catch (error) {
     console.error('Debug error:', error);
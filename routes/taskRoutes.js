@@ -3,13 +3,30 @@ const router = express.Router();
 const {
   getProjectTasks,
   getMyTasks,
+  getMentionedTasks,
   getTaskById,
   createTask,
   updateTask,
   deleteTask,
-  addComment
+  restoreTask,
+  getTrashedTasks,
+  getTaskActivity,
+  getSubtasks,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem
 } = require('../controllers/taskController');
+const { addDependency, removeDependency } = require('../controllers/dependencyController');
+const { moveTask } = require('../controllers/boardController');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
 const { protect } = require('../middleware/auth');
+const { attachmentUpload } = require('../middleware/upload');
+const commentRoutes = require('./commentRoutes');
 
 /**
  * @swagger
@@ -26,14 +43,138 @@ const { protect } = require('../middleware/auth');
  *         description: ID del proyecto
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: status
+ *         description: Filtrar por clave de estado del flujo (lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: statusCategory
+ *         description: Filtrar por categoría de estado (todo, in_progress, done; lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         description: Filtrar por prioridad (lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         description: Filtrar por usuario asignado (IDs separados por comas, "me" o "none")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dueFrom
+ *         description: Fecha de vencimiento mínima
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dueTo
+ *         description: Fecha de vencimiento máxima
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: labels
+ *         description: Filtrar por etiquetas del proyecto (IDs separados por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: labelMatch
+ *         description: '"any" devuelve tareas con alguna de las etiquetas, "all" con todas'
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *       - in: query
+ *         name: cf
+ *         description: >
+ *           Filtros por campos personalizados del proyecto, ej. cf[sprint]=s1,s2 (alguno de los valores),
+ *           cf[points][gte]=3 (rangos en campos number y date) o cf[notes]=texto (búsqueda en campos text)
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *       - in: query
+ *         name: q
+ *         description: Texto a buscar en título y descripción
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: >
+ *           Campos de ordenamiento separados por comas; prefijo "-" para descendente (ej. -priority,dueDate).
+ *           Disponibles: title, status, priority (low < medium < high), rank, dueDate, createdAt y updatedAt.
+ *           Los campos personalizados se ordenan como cf.<clave> (ej. -cf.points)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: parent
+ *         description: Filtrar por tarea padre (ID o "none" para tareas de primer nivel)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: view
+ *         description: '"tree" pagina las tareas de primer nivel y anida sus subtareas'
+ *         schema:
+ *           type: string
+ *           enum: [flat, tree]
+ *       - in: query
+ *         name: page
+ *         description: Número de página (por defecto 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Tareas por página (por defecto 20, máximo 100)
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Lista de tareas obtenida exitosamente
+ *         description: >
+ *           Lista paginada de tareas obtenida exitosamente. Sin page ni limit se devuelve solo la
+ *           primera página de 20 tareas; pagination.total y pagination.pages indican cuántas quedan
+ *       400:
+ *         description: Parámetros de consulta inválidos
  *       404:
  *         description: Proyecto no encontrado
  */
 router.get('/project/:projectId', protect, getProjectTasks);
 
+/**
+ * @swagger
+ * /api/tasks/project/{projectId}/trash:
+ *   get:
+ *     summary: Listar las tareas del proyecto que están en la papelera
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         description: ID del proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tareas en la papelera con su fecha de eliminación definitiva (purgeAt)
+ *       403:
+ *         description: No autorizado
+ *       404:
+ *         description: Proyecto no encontrado
+ */
+router.get('/project/:projectId/trash', protect, getTrashedTasks);
+
 /**
  * @swagger
  * /api/tasks/my-tasks:
@@ -42,12 +183,117 @@ router.get('/project/:projectId', protect, getProjectTasks);
  *     tags: [Tareas]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         description: Filtrar por ID de proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         description: Filtrar por clave de estado del flujo (lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: statusCategory
+ *         description: Filtrar por categoría de estado (todo, in_progress, done; lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         description: Filtrar por prioridad (lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dueFrom
+ *         description: Fecha de vencimiento mínima
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dueTo
+ *         description: Fecha de vencimiento máxima
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: q
+ *         description: Texto a buscar en título y descripción
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: >
+ *           Campos de ordenamiento separados por comas; prefijo "-" para descendente (ej. -priority,dueDate).
+ *           Disponibles: title, status, priority (low < medium < high), rank, dueDate, createdAt y updatedAt
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         description: Número de página (por defecto 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Tareas por página (por defecto 20, máximo 100)
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Lista de tareas obtenida exitosamente
+ *         description: >
+ *           Lista paginada de tareas obtenida exitosamente. Sin page ni limit se devuelve solo la
+ *           primera página de 20 tareas; pagination.total y pagination.pages indican cuántas quedan
+ *       400:
+ *         description: Parámetros de consulta inválidos
  */
 router.get('/my-tasks', protect, getMyTasks);
 
+/**
+ * @swagger
+ * /api/tasks/mentions:
+ *   get:
+ *     summary: Obtener tareas donde el usuario fue mencionado (descripción o comentarios)
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         description: Filtrar por ID de proyecto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: statusCategory
+ *         description: Filtrar por categoría de estado (todo, in_progress, done; lista separada por comas)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: >
+ *           Campos de ordenamiento separados por comas; prefijo "-" para descendente.
+ *           Disponibles: title, status, priority (low < medium < high), rank, dueDate, createdAt y updatedAt
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         description: Número de página (por defecto 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Tareas por página (por defecto 20, máximo 100)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: >
+ *           Lista paginada de tareas obtenida exitosamente. Sin page ni limit se devuelve solo la
+ *           primera página de 20 tareas; pagination.total y pagination.pages indican cuántas quedan
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ */
+router.get('/mentions', protect, getMentionedTasks);
+
 /**
  * @swagger
  * /api/tasks/{id}:
@@ -94,10 +340,13 @@ router.get('/:id', protect, getTaskById);
  *                 description: Título de la tarea
  *               description:
  *                 type: string
- *                 description: Descripción de la tarea
+ *                 description: Descripción de la tarea (admite menciones @usuario a miembros del proyecto)
  *               project:
  *                 type: string
  *                 description: ID del proyecto al que pertenece
+ *               status:
+ *                 type: string
+ *                 description: Estado inicial (por defecto el estado inicial del flujo del proyecto)
  *               priority:
  *                 type: string
  *                 enum: [low, medium, high]
@@ -109,6 +358,31 @@ router.get('/:id', protect, getTaskById);
  *               assignedTo:
  *                 type: string
  *                 description: ID del usuario asignado
+ *               parent:
+ *                 type: string
+ *                 description: ID de la tarea padre (para crear una subtarea)
+ *               checklist:
+ *                 type: array
+ *                 description: Elementos iniciales de la lista de verificación
+ *                 items:
+ *                   type: string
+ *               labels:
+ *                 type: array
+ *                 description: IDs de etiquetas del proyecto
+ *                 items:
+ *                   type: string
+ *               customFields:
+ *                 type: object
+ *                 description: Valores de los campos personalizados del proyecto por clave; los obligatorios son necesarios
+ *               recurrence:
+ *                 description: >
+ *                   Regla de repetición (requiere dueDate). Cadena estilo RRULE, p. ej.
+ *                   "FREQ=WEEKLY;BYDAY=MO,TH", u objeto con frequency (daily, weekly, monthly, yearly),
+ *                   interval, weekdays, monthDay, until y count. Al completar la tarea o al pasar su
+ *                   fecha de vencimiento se genera la siguiente ocurrencia.
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
  *     responses:
  *       201:
  *         description: Tarea creada exitosamente
@@ -144,11 +418,10 @@ router.post('/', protect, createTask);
  *                 description: Título de la tarea
  *               description:
  *                 type: string
- *                 description: Descripción de la tarea
+ *                 description: Descripción de la tarea (admite menciones @usuario a miembros del proyecto)
  *               status:
  *                 type: string
- *                 enum: [pending, in_progress, completed]
- *                 description: Estado de la tarea (pendiente, en progreso, completada)
+ *                 description: Clave de un estado del flujo de trabajo del proyecto (por defecto pending, in_progress, completed)
  *               priority:
  *                 type: string
  *                 enum: [low, medium, high]
@@ -160,11 +433,41 @@ router.post('/', protect, createTask);
  *               assignedTo:
  *                 type: string
  *                 description: ID del usuario asignado
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID de la nueva tarea padre (null para convertirla en tarea de primer nivel)
+ *               labels:
+ *                 type: array
+ *                 description: IDs de etiquetas del proyecto; reemplaza las actuales ([] las quita todas)
+ *                 items:
+ *                   type: string
+ *               customFields:
+ *                 type: object
+ *                 description: Valores de campos personalizados por clave; solo cambia las claves enviadas (null borra el valor)
+ *               force:
+ *                 type: boolean
+ *                 description: Forzar el cambio de estado aunque existan tareas bloqueantes abiertas (solo maintainers)
+ *               recurrence:
+ *                 description: >
+ *                   Regla de repetición (requiere dueDate). Cadena estilo RRULE, p. ej.
+ *                   "FREQ=WEEKLY;BYDAY=MO,TH", u objeto con frequency (daily, weekly, monthly, yearly),
+ *                   interval, weekdays, monthDay, until y count. Al completar la tarea o al pasar su
+ *                   fecha de vencimiento se genera la siguiente ocurrencia. null detiene la serie
+ *                   tras esta ocurrencia.
+ *                 nullable: true
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
  *     responses:
  *       200:
  *         description: Tarea actualizada exitosamente
+ *       403:
+ *         description: No autorizado para forzar una tarea bloqueada
  *       404:
  *         description: Tarea no encontrada
+ *       409:
+ *         description: La tarea está bloqueada por tareas abiertas
  */
 router.put('/:id', protect, updateTask);
 
@@ -172,7 +475,8 @@ router.put('/:id', protect, updateTask);
  * @swagger
  * /api/tasks/{id}:
  *   delete:
- *     summary: Eliminar tarea
+ *     summary: Enviar una tarea (y sus subtareas) a la papelera
+ *     description: La tarea se puede restaurar hasta que se cumpla el periodo de retención (TRASH_RETENTION_DAYS, 30 días por defecto)
  *     tags: [Tareas]
  *     security:
  *       - bearerAuth: []
@@ -185,7 +489,7 @@ router.put('/:id', protect, updateTask);
  *           type: string
  *     responses:
  *       200:
- *         description: Tarea eliminada exitosamente
+ *         description: Tarea enviada a la papelera exitosamente
  *       404:
  *         description: Tarea no encontrada
  */
@@ -193,9 +497,93 @@ router.delete('/:id', protect, deleteTask);
 
 /**
  * @swagger
- * /api/tasks/{id}/comments:
+ * /api/tasks/{id}/restore:
  *   post:
- *     summary: Agregar comentario a una tarea
+ *     summary: Restaurar una tarea de la papelera junto con las subtareas eliminadas con ella
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tarea restaurada exitosamente
+ *       404:
+ *         description: La tarea no está en la papelera
+ *       409:
+ *         description: El proyecto o la tarea padre también están en la papelera
+ */
+router.post('/:id/restore', protect, restoreTask);
+
+// Comment endpoints live in their own router: /api/tasks/:id/comments
+router.use('/:id/comments', commentRoutes);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/activity:
+ *   get:
+ *     summary: Obtener el historial de actividad de una tarea
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         description: Número de página (por defecto 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         description: Entradas por página (por defecto 20, máximo 100)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Historial de actividad obtenido exitosamente
+ *       404:
+ *         description: Tarea no encontrada
+ */
+router.get('/:id/activity', protect, getTaskActivity);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   get:
+ *     summary: Obtener las subtareas directas de una tarea
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subtareas obtenidas exitosamente
+ *       404:
+ *         description: Tarea no encontrada
+ */
+router.get('/:id/subtasks', protect, getSubtasks);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist:
+ *   post:
+ *     summary: Agregar un elemento a la lista de verificación
  *     tags: [Tareas]
  *     security:
  *       - bearerAuth: []
@@ -217,13 +605,321 @@ router.delete('/:id', protect, deleteTask);
  *             properties:
  *               text:
  *                 type: string
- *                 description: Texto del comentario
+ *                 description: Texto del elemento
+ *               done:
+ *                 type: boolean
+ *                 description: Si el elemento ya está completado
+ *     responses:
+ *       201:
+ *         description: Elemento agregado exitosamente
+ *       404:
+ *         description: Tarea no encontrada
+ */
+router.post('/:id/checklist', protect, addChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   put:
+ *     summary: Actualizar un elemento de la lista de verificación
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         description: ID del elemento de la lista
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: Texto del elemento
+ *               done:
+ *                 type: boolean
+ *                 description: Estado de completado
+ *     responses:
+ *       200:
+ *         description: Elemento actualizado exitosamente
+ *       404:
+ *         description: Tarea o elemento no encontrado
+ */
+router.put('/:id/checklist/:itemId', protect, updateChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Eliminar un elemento de la lista de verificación
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         description: ID del elemento de la lista
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Elemento eliminado exitosamente
+ *       404:
+ *         description: Tarea o elemento no encontrado
+ */
+router.delete('/:id/checklist/:itemId', protect, deleteChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Marcar la tarea como bloqueada por otra tarea
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - blockerId
+ *             properties:
+ *               blockerId:
+ *                 type: string
+ *                 description: ID de la tarea que bloquea a esta
+ *     responses:
+ *       201:
+ *         description: Dependencia agregada exitosamente
+ *       400:
+ *         description: Dependencia inválida o que generaría un ciclo
+ *       404:
+ *         description: Tarea no encontrada
+ */
+router.post('/:id/dependencies', protect, addDependency);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{blockerId}:
+ *   delete:
+ *     summary: Eliminar una dependencia de la tarea
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: blockerId
+ *         required: true
+ *         description: ID de la tarea bloqueante
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Comentario agregado exitosamente
+ *         description: Dependencia eliminada exitosamente
+ *       404:
+ *         description: Tarea o dependencia no encontrada
+ */
+router.delete('/:id/dependencies/:blockerId', protect, removeDependency);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/move:
+ *   post:
+ *     summary: Mover una tarea en el tablero (estado y posición en una sola operación)
+ *     tags: [Tablero]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Estado (columna) de destino; por defecto el estado actual
+ *               position:
+ *                 type: integer
+ *                 description: Posición (desde 0) dentro de la columna; por defecto al final
+ *               force:
+ *                 type: boolean
+ *                 description: Forzar el cambio aunque existan tareas bloqueantes abiertas (solo maintainers)
+ *     responses:
+ *       200:
+ *         description: >
+ *           Tarea movida exitosamente. Publica task.updated si cambia de estado o task.reordered
+ *           si solo cambia de posición dentro de la columna
+ *       400:
+ *         description: Estado, transición o posición inválidos
+ *       404:
+ *         description: Tarea no encontrada
+ *       409:
+ *         description: Tarea bloqueada o modificada concurrentemente
+ */
+router.post('/:id/move', protect, moveTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   get:
+ *     summary: Listar los archivos adjuntos de una tarea
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista de adjuntos obtenida exitosamente
  *       404:
  *         description: Tarea no encontrada
  */
-router.post('/:id/comments', protect, addComment);
+router.get('/:id/attachments', protect, getAttachments);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   post:
+ *     summary: Subir un archivo adjunto a una tarea
+ *     description: El tamaño máximo y los tipos MIME permitidos se configuran con ATTACHMENT_MAX_SIZE y ATTACHMENT_ALLOWED_TYPES
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Adjunto subido exitosamente
+ *       400:
+ *         description: Falta el archivo
+ *       413:
+ *         description: El archivo supera el tamaño máximo
+ *       415:
+ *         description: Tipo de archivo no permitido, o la extensión o el contenido no corresponden al tipo declarado
+ */
+router.post('/:id/attachments', protect, attachmentUpload, uploadAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Descargar un archivo adjunto
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         description: ID del adjunto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contenido del archivo
+ *       404:
+ *         description: Adjunto no encontrado
+ */
+router.get('/:id/attachments/:attachmentId', protect, downloadAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Eliminar un archivo adjunto (quien lo subió o un mantenedor)
+ *     tags: [Tareas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID de la tarea
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         description: ID del adjunto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Adjunto eliminado exitosamente
+ *       403:
+ *         description: No autorizado
+ *       404:
+ *         description: Adjunto no encontrado
+ */
+router.delete('/:id/attachments/:attachmentId', protect, deleteAttachment);
 
 module.exports = router; 
\ No newline at end of file
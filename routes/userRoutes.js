@@ -4,7 +4,10 @@ const {
   getUsers,
   getUserById,
   updateUser,
-  deleteUser
+  deleteUser,
+  getTrashedUsers,
+  restoreUser,
+  revokeSessions
 } = require('../controllers/userController');
 const { protect, admin } = require('../middleware/auth');
 
@@ -24,6 +27,22 @@ const { protect, admin } = require('../middleware/auth');
  */
 router.get('/', protect, admin, getUsers);
 
+/**
+ * @swagger
+ * /api/users/trash:
+ *   get:
+ *     summary: Listar los usuarios eliminados que aún se pueden restaurar
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuarios en la papelera con su fecha de anonimización (purgeAt)
+ *       401:
+ *         description: No autorizado
+ */
+router.get('/trash', protect, admin, getTrashedUsers);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -96,7 +115,10 @@ router.put('/:id', protect, admin, updateUser);
  * @swagger
  * /api/users/{id}:
  *   delete:
- *     summary: Eliminar usuario
+ *     summary: Eliminar usuario (papelera)
+ *     description: |
+ *       Revoca sus sesiones, lo quita de los proyectos y reasigna o limpia sus tareas asignadas.
+ *       Si es propietario de proyectos activos hay que indicar reassignTo.
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []
@@ -107,12 +129,67 @@ router.put('/:id', protect, admin, updateUser);
  *         description: ID del usuario
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: reassignTo
+ *         description: Usuario que recibe sus proyectos y las tareas asignadas en proyectos donde participa
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Usuario eliminado exitosamente
+ *         description: Usuario enviado a la papelera con el resumen de cambios en cascada
+ *       400:
+ *         description: reassignTo inválido
  *       404:
  *         description: Usuario no encontrado
+ *       409:
+ *         description: El usuario es propietario de proyectos (incluidos los de la papelera) y no se indicó reassignTo
  */
 router.delete('/:id', protect, admin, deleteUser);
 
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restaurar un usuario de la papelera (no recupera membresías ni asignaciones)
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del usuario
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usuario restaurado exitosamente
+ *       404:
+ *         description: El usuario no está en la papelera
+ */
+router.post('/:id/restore', protect, admin, restoreUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/revoke-sessions:
+ *   post:
+ *     summary: Revocar todas las sesiones de un usuario
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del usuario
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas exitosamente
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post('/:id/revoke-sessions', protect, admin, revokeSessions);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Builds `StatusTransition` history for tasks created before transitions were tracked,
+// replaying their activity log (created/updated status/deleted/restored).
+// Categories come from the project's current workflow. Safe to re-run: tasks that
+// already have transitions are skipped.
+// Usage: npm run migrate:transitions
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { getWorkflow, findStatus } = require('../utils/workflow');
+
+dotenv.config();
+
+const statusChange = (activity) => (activity.changes || []).find(change => change.field === 'status');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const projects = mongoose.connection.collection('projects');
+  const tasks = mongoose.connection.collection('tasks');
+  const activities = mongoose.connection.collection('activities');
+  const transitions = mongoose.connection.collection('statustransitions');
+
+  const workflows = new Map();
+  const categoryOf = async (projectId, key) => {
+    if (!key) return null;
+    if (!workflows.has(projectId.toString())) {
+      const project = await projects.findOne({ _id: projectId }, { projection: { workflow: 1 } });
+      workflows.set(projectId.toString(), getWorkflow(project || {}));
+    }
+    const status = findStatus(workflows.get(projectId.toString()), key);
+    return status ? status.category : null;
+  };
+
+  let migrated = 0;
+  for await (const task of tasks.find({}, { projection: { project: 1, status: 1, createdAt: 1, deletedAt: 1 } })) {
+    if (await transitions.findOne({ task: task._id })) continue;
+
+    const history = await activities
+      .find({ entityType: 'task', entity: task._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+
+    const created = history.find(activity => activity.action === 'created');
+    const firstChange = history.map(statusChange).find(Boolean);
+    const initial = (created && statusChange(created) && statusChange(created).newValue) ||
+      (firstChange && firstChange.oldValue) ||
+      task.status;
+
+    const steps = [{ from: null, to: initial, at: task.createdAt }];
+    let status = initial;
+    let present = true;
+
+    for (const activity of history) {
+      const change = statusChange(activity);
+      if (activity.action === 'updated' && change && present) {
+        steps.push({ from: status, to: change.newValue, at: activity.createdAt, actor: activity.actor });
+        status = change.newValue;
+      } else if (activity.action === 'deleted' && present) {
+        steps.push({ from: status, to: null, at: activity.createdAt, actor: activity.actor });
+        present = false;
+      } else if (activity.action === 'restored' && !present) {
+        steps.push({ from: null, to: status, at: activity.createdAt, actor: activity.actor });
+        present = true;
+      }
+    }
+
+    // Tasks trashed together with their project have no task-level 'deleted' entry
+    if (task.deletedAt && present) {
+      steps.push({ from: status, to: null, at: task.deletedAt });
+    }
+
+    const docs = [];
+    for (const step of steps) {
+      docs.push({
+        task: task._id,
+        project: task.project,
+        from: step.from,
+        to: step.to,
+        fromCategory: await categoryOf(task.project, step.from),
+        toCategory: await categoryOf(task.project, step.to),
+        actor: step.actor,
+        at: step.at || task.createdAt
+      });
+    }
+
+    await transitions.insertMany(docs);
+    migrated += 1;
+  }
+
+  console.log(`Built transitions for ${migrated} task(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Fills `Task.completedAt` for tasks that were already done before it was tracked,
+// using the last recorded status change (or updatedAt when there is none).
+// Usage: npm run migrate:completed-at
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const tasks = mongoose.connection.collection('tasks');
+  const activities = mongoose.connection.collection('activities');
+
+  let updated = 0;
+  const cursor = tasks.find(
+    { statusCategory: 'done', completedAt: null },
+    { projection: { createdAt: 1, updatedAt: 1 } }
+  );
+
+  for await (const task of cursor) {
+    const lastStatusChange = await activities
+      .find({ entity: task._id, 'changes.field': 'status' })
+      .sort({ createdAt: -1 })
+      .limit(1)
+      .next();
+
+    const completedAt = (lastStatusChange && lastStatusChange.createdAt) || task.updatedAt || task.createdAt;
+    await tasks.updateOne({ _id: task._id }, { $set: { completedAt } });
+    updated += 1;
+  }
+
+  console.log(`Updated ${updated} task(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
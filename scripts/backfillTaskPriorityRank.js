@@ -0,0 +1,32 @@
+// Fills `Task.priorityRank` for tasks created before priority became sortable.
+// Usage: npm run migrate:priority-rank
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const tasks = mongoose.connection.collection('tasks');
+  let updated = 0;
+
+  for (const [priority, rank] of Object.entries(PRIORITY_RANK)) {
+    const result = await tasks.updateMany(
+      { priority, priorityRank: { $ne: rank } },
+      { $set: { priorityRank: rank } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Updated ${updated} task(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,32 @@
+// Converts legacy `members: [ObjectId]` arrays into `{ user, role }` memberships.
+// Usage: npm run migrate:members
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const projects = mongoose.connection.collection('projects');
+  const cursor = projects.find({ 'members.0': { $type: 'objectId' } });
+
+  let migrated = 0;
+  for await (const project of cursor) {
+    const members = project.members.map(member => (
+      member && member.user ? member : { user: member, role: 'contributor', addedAt: new Date() }
+    ));
+
+    await projects.updateOne({ _id: project._id }, { $set: { members } });
+    migrated += 1;
+  }
+
+  console.log(`Migrated ${migrated} project(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
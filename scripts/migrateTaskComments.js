@@ -0,0 +1,45 @@
+// Moves comments embedded in tasks (`Task.comments`) into the comments collection.
+// Usage: npm run migrate:comments
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const tasks = mongoose.connection.collection('tasks');
+  const comments = mongoose.connection.collection('comments');
+  const cursor = tasks.find({ 'comments.0': { $exists: true } });
+
+  let migrated = 0;
+  for await (const task of cursor) {
+    const docs = task.comments.map(comment => ({
+      _id: comment._id,
+      task: task._id,
+      project: task.project,
+      author: comment.author,
+      parent: null,
+      text: comment.text,
+      editHistory: [],
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt
+    }));
+
+    // Upserts keep the script safe to re-run after a partial failure
+    await comments.bulkWrite(docs.map(doc => ({
+      updateOne: { filter: { _id: doc._id }, update: { $setOnInsert: doc }, upsert: true }
+    })));
+    await tasks.updateOne({ _id: task._id }, { $unset: { comments: '' } });
+    migrated += docs.length;
+  }
+
+  console.log(`Migrated ${migrated} comment(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,37 @@
+// Fills `Task.statusCategory` from each project's workflow for tasks created
+// before per-project workflows existed.
+// Usage: npm run migrate:workflow
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { getWorkflow } = require('../utils/workflow');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const projects = mongoose.connection.collection('projects');
+  const tasks = mongoose.connection.collection('tasks');
+
+  let updated = 0;
+  for await (const project of projects.find({}, { projection: { workflow: 1 } })) {
+    const workflow = getWorkflow(project);
+
+    for (const status of workflow.statuses) {
+      const result = await tasks.updateMany(
+        { project: project._id, status: status.key, statusCategory: { $ne: status.category } },
+        { $set: { statusCategory: status.category } }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  console.log(`Updated ${updated} task(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Marks accounts created before email verification existed as verified,
+// so they are not locked out of login.
+// Usage: npm run migrate:verify-users
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await mongoose.connection.collection('users').updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} user(s) as verified`);
+};
+
+migrate()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,82 @@
+const Activity = require('../models/Activity');
+
+const TASK_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'assignedTo', 'parent'];
+const PROJECT_FIELDS = ['name', 'description', 'status', 'startDate', 'endDate'];
+
+// Stores ids and dates as plain strings so old and new values compare and serialize cleanly
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._id) return value._id.toString();
+  if (typeof value === 'object' && typeof value.toHexString === 'function') return value.toString();
+  return value;
+};
+
+const snapshot = (doc, fields) => {
+  return fields.reduce((result, field) => {
+    result[field] = normalizeValue(doc.get ? doc.get(field) : doc[field]);
+    return result;
+  }, {});
+};
+
+const diffSnapshots = (before, after) => {
+  return Object.keys(after)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({
+      field,
+      oldValue: before[field],
+      newValue: after[field]
+    }));
+};
+
+// Used for `created` entries: every tracked field that has a value
+const initialChanges = (doc, fields) => {
+  return diffSnapshots({}, snapshot(doc, fields))
+    .filter(change => change.newValue !== null)
+    .map(change => ({ ...change, oldValue: null }));
+};
+
+// A failed audit write is logged but never fails the request that triggered it
+const recordActivity = async ({ entityType, entity, project, actor, action, changes = [] }) => {
+  try {
+    await Activity.create({
+      entityType,
+      entity: entity._id || entity,
+      project: project._id || project,
+      actor: actor && (actor._id || actor),
+      action,
+      changes
+    });
+  } catch (error) {
+    console.error('Error recording activity:', error);
+  }
+};
+
+// Bulk variant for changes applied to many entities at once (e.g. workflow migrations)
+const recordActivities = async (entries) => {
+  if (!entries.length) return;
+
+  try {
+    await Activity.insertMany(entries.map(({ entityType, entity, project, actor, action, changes = [] }) => ({
+      entityType,
+      entity: entity._id || entity,
+      project: project._id || project,
+      actor: actor && (actor._id || actor),
+      action,
+      changes
+    })));
+  } catch (error) {
+    console.error('Error recording activity:', error);
+  }
+};
+
+module.exports = {
+  TASK_FIELDS,
+  PROJECT_FIELDS,
+  normalizeValue,
+  snapshot,
+  diffSnapshots,
+  initialChanges,
+  recordActivity,
+  recordActivities
+};
\ No newline at end of file
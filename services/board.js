@@ -0,0 +1,71 @@
+const Task = require('../models/Task');
+
+// Gap left between consecutive ranks so most moves only touch the moved task
+const RANK_STEP = 1024;
+const MIN_GAP = 1e-6;
+
+const columnQuery = (projectId, status) => ({ project: projectId, status });
+
+const nextRank = async (projectId, status) => {
+  const last = await Task.findOne({ ...columnQuery(projectId, status), rank: { $ne: null } })
+    .sort({ rank: -1 })
+    .select('rank');
+
+  return last ? last.rank + RANK_STEP : RANK_STEP;
+};
+
+// Rewrites the ranks of a column evenly spaced, keeping its current order
+const rebalanceColumn = async (projectId, status, excludeId) => {
+  const tasks = await Task.find({ ...columnQuery(projectId, status), _id: { $ne: excludeId } })
+    .sort({ rank: 1, createdAt: 1, _id: 1 })
+    .select('_id')
+    .lean();
+
+  if (tasks.length) {
+    await Task.bulkWrite(tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { rank: (index + 1) * RANK_STEP } }
+      }
+    })));
+  }
+
+  return tasks.map((task, index) => ({ _id: task._id, rank: (index + 1) * RANK_STEP }));
+};
+
+const loadColumn = (projectId, status, excludeId) => {
+  return Task.find({ ...columnQuery(projectId, status), _id: { $ne: excludeId } })
+    .sort({ rank: 1, createdAt: 1, _id: 1 })
+    .select('rank')
+    .lean();
+};
+
+// Rank that places the task at `position` (0-based) of the target column
+const rankForPosition = async (projectId, status, taskId, position) => {
+  let column = await loadColumn(projectId, status, taskId);
+  const index = Math.max(0, Math.min(position === undefined ? column.length : position, column.length));
+
+  const neighboursOf = (list) => [list[index - 1], list[index]];
+  let [previous, next] = neighboursOf(column);
+
+  const needsRebalance = column.some(task => task.rank === null || task.rank === undefined) ||
+    (previous && next && next.rank - previous.rank < MIN_GAP) ||
+    (!previous && next && next.rank < MIN_GAP);
+
+  if (needsRebalance) {
+    column = await rebalanceColumn(projectId, status, taskId);
+    [previous, next] = neighboursOf(column);
+  }
+
+  if (!previous && !next) return RANK_STEP;
+  if (!previous) return next.rank / 2;
+  if (!next) return previous.rank + RANK_STEP;
+  return (previous.rank + next.rank) / 2;
+};
+
+module.exports = {
+  RANK_STEP,
+  nextRank,
+  rebalanceColumn,
+  rankForPosition
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+const Task = require('../models/Task');
+const { escapeText, formatDateTime, formatDate, isAllDay, component, buildCalendar } = require('../utils/ical');
+
+const FEED_LIMIT = parseInt(process.env.CALENDAR_FEED_LIMIT, 10) || 1000;
+const COMPONENT_TYPES = ['event', 'todo'];
+
+const TODO_STATUS = {
+  todo: 'NEEDS-ACTION',
+  in_progress: 'IN-PROCESS',
+  done: 'COMPLETED'
+};
+
+// iCalendar priorities go from 1 (highest) to 9 (lowest)
+const PRIORITY = {
+  high: 1,
+  medium: 5,
+  low: 9
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dateProperty = (name, date) => (isAllDay(date)
+  ? [`${name};VALUE=DATE`, formatDate(date)]
+  : [name, formatDateTime(date)]);
+
+// UIDs stay stable across refreshes so calendar apps update entries instead of duplicating them;
+// SEQUENCE grows with every change to the task
+const taskToComponent = (task, type) => {
+  const project = task.project && task.project.name ? task.project.name : null;
+  const description = [
+    task.description,
+    project && `Project: ${project}`,
+    task.assignedTo && task.assignedTo.username && `Assignee: ${task.assignedTo.username}`
+  ].filter(Boolean).join('\n');
+
+  const common = [
+    ['UID', `task-${task._id}@task-management`],
+    ['DTSTAMP', formatDateTime(task.updatedAt || new Date())],
+    ['CREATED', task.createdAt && formatDateTime(task.createdAt)],
+    ['LAST-MODIFIED', task.updatedAt && formatDateTime(task.updatedAt)],
+    ['SEQUENCE', task.updatedAt && task.createdAt
+      ? Math.max(0, Math.floor((task.updatedAt - task.createdAt) / 1000))
+      : 0],
+    ['SUMMARY', escapeText(task.title)],
+    ['DESCRIPTION', description && escapeText(description)],
+    ['CATEGORIES', project && escapeText(project)],
+    ['PRIORITY', PRIORITY[task.priority]]
+  ];
+
+  if (type === 'todo') {
+    return component('VTODO', [
+      ...common,
+      dateProperty('DUE', task.dueDate),
+      ['STATUS', TODO_STATUS[task.statusCategory]],
+      ['COMPLETED', task.statusCategory === 'done' && task.completedAt && formatDateTime(task.completedAt)],
+      ['PERCENT-COMPLETE', task.statusCategory === 'done' ? 100 : null]
+    ]);
+  }
+
+  const allDay = isAllDay(task.dueDate);
+  return component('VEVENT', [
+    ...common,
+    dateProperty('DTSTART', task.dueDate),
+    allDay ? ['DTEND;VALUE=DATE', formatDate(new Date(task.dueDate.getTime() + DAY_MS))] : ['DTEND', formatDateTime(task.dueDate)],
+    // Due dates should not show the user as busy
+    ['TRANSP', 'TRANSPARENT'],
+    ['STATUS', 'CONFIRMED']
+  ]);
+};
+
+// Only tasks with a due date appear in the feeds; `filter` comes from parseTaskQuery
+const findFeedTasks = (filter) => {
+  return Task.find({ ...filter, dueDate: { ...filter.dueDate, $ne: null } })
+    .populate('project', 'name')
+    .populate('assignedTo', 'username')
+    .sort({ dueDate: 1, _id: 1 })
+    .limit(FEED_LIMIT);
+};
+
+const buildTaskCalendar = (tasks, { name, description, type }) => buildCalendar({
+  name,
+  description,
+  components: tasks.map(task => taskToComponent(task, type))
+});
+
+module.exports = {
+  FEED_LIMIT,
+  COMPONENT_TYPES,
+  taskToComponent,
+  findFeedTasks,
+  buildTaskCalendar
+};
\ No newline at end of file
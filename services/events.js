@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for domain events. Controllers publish after a change is saved;
+// integrations (webhooks, real-time...) subscribe without the controllers knowing them.
+const EVENTS = [
+  'task.created',
+  'task.updated',
+  // Board moves that only change a task's position inside its column
+  'task.reordered',
+  'task.deleted',
+  'task.restored',
+  'comment.added',
+  'comment.updated',
+  'comment.deleted',
+  'member.added',
+  'member.updated',
+  'member.removed',
+  'project.updated',
+  'project.deleted',
+  'project.restored'
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const publish = (event, { project, actor, data, changes }) => {
+  const payload = {
+    event,
+    project: project && (project._id || project),
+    actor: actor ? { _id: actor._id, username: actor.username } : null,
+    data: toPlain(data),
+    changes,
+    occurredAt: new Date()
+  };
+
+  // Listener errors must never break the request that published the event
+  try {
+    bus.emit(event, payload);
+    bus.emit('*', payload);
+  } catch (error) {
+    console.error(`Error publishing ${event}:`, error);
+  }
+};
+
+const subscribe = (event, listener) => {
+  bus.on(event, listener);
+  return () => bus.off(event, listener);
+};
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe
+};
\ No newline at end of file
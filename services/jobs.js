@@ -0,0 +1,16 @@
+// Background jobs shared by the API process and the standalone worker (worker.js)
+const { defineJob } = require('./scheduler');
+const { purgeExpired } = require('./trash');
+const { generateDueOccurrences } = require('./recurrence');
+const { sendDueReminders } = require('./reminders');
+
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// Permanently remove what has been in the trash longer than the retention window
+defineJob('trash-purge', 60 * 60 * 1000, purgeExpired);
+
+// Recurring tasks whose due date passed without being completed get their next occurrence
+defineJob('recurring-tasks', 5 * 60 * 1000, generateDueOccurrences);
+
+// Due-date reminders and overdue escalations; dedupe keys make repeated runs harmless
+defineJob('due-reminders', REMINDER_INTERVAL_MS, sendDueReminders);
\ No newline at end of file
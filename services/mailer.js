@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development transport: prints the message to stdout
+const consoleTransport = {
+  send: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+  }
+};
+
+// Development/test transport: writes each message as a JSON file in MAIL_DIR
+const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mails');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+// Transports that expose verification and reset links to anyone reading logs or disk
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+let activeTransport = null;
+
+// Other transports (SMTP, an API provider...) only need an async `send(message)`
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+const setTransport = (transport) => {
+  activeTransport = typeof transport === 'string' ? transports[transport] : transport;
+  if (!activeTransport) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+};
+
+// Production must name a real transport explicitly; called on startup so a bad setup fails fast
+const checkMailConfig = () => {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name || DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT must be set to a real mail transport in production (got: ${name || 'nothing'})`);
+  }
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    checkMailConfig();
+    setTransport(process.env.MAIL_TRANSPORT || 'console');
+  }
+  return activeTransport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'no-reply@task-management.local';
+  await getTransport().send({ from, to, subject, text });
+};
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  checkMailConfig,
+  sendMail
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+const User = require('../models/User');
+const { extractMentions } = require('../utils/mentions');
+const { getProjectRole } = require('../utils/permissions');
+const { notify } = require('./notifications');
+
+// Resolves the @usernames in `text`. Unknown usernames are ignored (plain text),
+// known users outside the project are reported in `nonMembers`
+const resolveMentions = async (text, project) => {
+  const usernames = extractMentions(text);
+  if (!usernames.length) return { users: [], nonMembers: [] };
+
+  const users = await User.find({ username: { $in: usernames } }).select('username');
+
+  return {
+    users: users.filter(user => getProjectRole(project, user)).map(user => user._id),
+    nonMembers: users.filter(user => !getProjectRole(project, user)).map(user => user.username)
+  };
+};
+
+// Notifies only users who were not already mentioned before the edit
+const notifyNewMentions = ({ mentions, previous = [], actor, project, task, comment }) => {
+  const already = new Set(previous.map(id => id.toString()));
+
+  return notify({
+    recipients: mentions.filter(id => !already.has(id.toString())),
+    type: 'mention',
+    actor,
+    project,
+    task,
+    comment,
+    message: comment
+      ? `${actor.username} mentioned you in a comment on "${task.title}"`
+      : `${actor.username} mentioned you in "${task.title}"`
+  });
+};
+
+module.exports = {
+  resolveMentions,
+  notifyNewMentions
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+const Notification = require('../models/Notification');
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// Creates one notification per recipient, never for the user who caused it.
+// Failures are logged: a missing notification must not fail the request.
+const notify = async ({ recipients, type, actor, project, task, comment, message, dedupeKey }) => {
+  const actorId = actor ? toId(actor).toString() : null;
+  const unique = [...new Set(recipients.filter(Boolean).map(recipient => toId(recipient).toString()))]
+    .filter(recipient => recipient !== actorId);
+
+  if (!unique.length) return [];
+
+  try {
+    return await Notification.insertMany(unique.map(recipient => ({
+      recipient,
+      type,
+      actor: actorId,
+      project: toId(project),
+      task: toId(task),
+      comment: toId(comment),
+      message,
+      dedupeKey: dedupeKey ? `${dedupeKey}:${recipient}` : undefined
+    })), { ordered: false });
+  } catch (error) {
+    // Duplicate dedupe keys are expected: the notification was already sent
+    if (error.code !== 11000) {
+      console.error('Error creating notifications:', error);
+    }
+    return error.insertedDocs || [];
+  }
+};
+
+const notifyAssignment = (task, project, actor) => {
+  return notify({
+    recipients: [task.assignedTo],
+    type: 'assignment',
+    actor,
+    project,
+    task,
+    message: `You have been assigned to "${task.title}"`
+  });
+};
+
+const notifyStatusChange = (task, project, actor, oldStatus) => {
+  return notify({
+    recipients: [task.assignedTo, task.createdBy],
+    type: 'status_change',
+    actor,
+    project,
+    task,
+    message: `"${task.title}" moved from ${oldStatus} to ${task.status}`
+  });
+};
+
+const notifyComment = (comment, task, project, actor, parentAuthor) => {
+  return notify({
+    recipients: [task.assignedTo, task.createdBy, parentAuthor],
+    type: 'comment',
+    actor,
+    project,
+    task,
+    comment,
+    message: parentAuthor
+      ? `New reply on "${task.title}"`
+      : `New comment on "${task.title}"`
+  });
+};
+
+module.exports = {
+  notify,
+  notifyAssignment,
+  notifyStatusChange,
+  notifyComment
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { getWorkflow } = require('../utils/workflow');
+const { toCsv } = require('../utils/csv');
+const { findLabel } = require('../utils/labels');
+
+const EXPORT_VERSION = 1;
+
+const TASK_CSV_COLUMNS = [
+  { key: 'id' },
+  { key: 'title' },
+  { key: 'description' },
+  { key: 'status' },
+  { key: 'statusCategory' },
+  { key: 'priority' },
+  { key: 'dueDate' },
+  { key: 'assignee' },
+  { key: 'labels' },
+  { key: 'parent' },
+  { key: 'blockedBy' },
+  { key: 'createdBy' },
+  { key: 'createdAt' },
+  { key: 'completedAt' }
+];
+
+const userRef = (user) => (user && user.email ? { username: user.username, email: user.email } : null);
+
+const labelNames = (project, task) => task.labels
+  .map(id => findLabel(project, id))
+  .filter(Boolean)
+  .map(label => label.name);
+
+// Custom field values by key; user fields are exported by email like every other user reference
+const fieldValues = (project, task, usersById) => {
+  const values = task.customFields || {};
+
+  return project.customFields.reduce((result, field) => {
+    if (values[field.key] === undefined) return result;
+    result[field.key] = field.type === 'user'
+      ? userRef(usersById.get(values[field.key].toString()))
+      : values[field.key];
+    return result;
+  }, {});
+};
+
+const loadTasks = (project) => {
+  return Task.find({ project: project._id })
+    .populate('assignedTo', 'username email')
+    .populate('createdBy', 'username email')
+    .sort({ createdAt: 1, _id: 1 });
+};
+
+// Full project snapshot; ids are kept so parents, blockers and replies can be re-linked on import
+const buildProjectExport = async (project) => {
+  await project.populate([
+    { path: 'owner', select: 'username email' },
+    { path: 'members.user', select: 'username email' }
+  ]);
+
+  const workflow = getWorkflow(project);
+  const tasks = await loadTasks(project);
+  const usersById = new Map([project.owner, ...project.members.map(member => member.user)]
+    .filter(Boolean)
+    .map(user => [user._id.toString(), user]));
+  const comments = await Comment.find({ project: project._id, deletedAt: null })
+    .populate('author', 'username email')
+    .sort({ createdAt: 1, _id: 1 });
+
+  const commentsByTask = comments.reduce((result, comment) => {
+    const key = comment.task.toString();
+    (result[key] = result[key] || []).push({
+      id: comment._id,
+      parent: comment.parent,
+      author: userRef(comment.author),
+      text: comment.text,
+      createdAt: comment.createdAt
+    });
+    return result;
+  }, {});
+
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    project: {
+      id: project._id,
+      name: project.name,
+      description: project.description,
+      status: project.status,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      workflow: {
+        statuses: workflow.statuses.map(({ key, name, category }) => ({ key, name, category })),
+        transitions: (workflow.transitions || []).map(({ from, to }) => ({ from, to })),
+        initialStatus: workflow.initialStatus
+      },
+      labels: project.labels.map(({ name, color }) => ({ name, color })),
+      customFields: project.customFields.map(({ key, name, type, options, required }) => ({
+        key, name, type, options, required
+      })),
+      createdAt: project.createdAt
+    },
+    owner: userRef(project.owner),
+    // Members whose account was removed have nothing to map to on import
+    members: project.members
+      .filter(member => member.user)
+      .map(member => ({ ...userRef(member.user), role: member.role })),
+    tasks: tasks.map(task => ({
+      id: task._id,
+      title: task.title,
+      description: task.description,
+      status: task.status,
+      statusCategory: task.statusCategory,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      assignee: userRef(task.assignedTo),
+      labels: labelNames(project, task),
+      customFields: fieldValues(project, task, usersById),
+      createdBy: userRef(task.createdBy),
+      parent: task.parent,
+      blockedBy: task.blockedBy,
+      checklist: task.checklist.map(({ text, done }) => ({ text, done })),
+      createdAt: task.createdAt,
+      completedAt: task.completedAt,
+      comments: commentsByTask[task._id.toString()] || []
+    }))
+  };
+};
+
+// One row per task; users by email, labels by name and dependencies as `;`-separated ids
+const buildTasksCsv = async (project) => {
+  const tasks = await loadTasks(project);
+
+  return toCsv(tasks.map(task => ({
+    id: task._id.toString(),
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    statusCategory: task.statusCategory,
+    priority: task.priority,
+    dueDate: task.dueDate,
+    assignee: task.assignedTo && task.assignedTo.email,
+    labels: labelNames(project, task).join(';'),
+    parent: task.parent && task.parent.toString(),
+    blockedBy: task.blockedBy.map(id => id.toString()).join(';'),
+    createdBy: task.createdBy && task.createdBy.email,
+    createdAt: task.createdAt,
+    completedAt: task.completedAt
+  })), TASK_CSV_COLUMNS);
+};
+
+module.exports = {
+  EXPORT_VERSION,
+  TASK_CSV_COLUMNS,
+  buildProjectExport,
+  buildTasksCsv
+};
\ No newline at end of file
@@ -0,0 +1,445 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { getProjectRole, MEMBER_ROLES } = require('../utils/permissions');
+const { findStatus, getInitialStatus, validateWorkflow } = require('../utils/workflow');
+const { extractMentions } = require('../utils/mentions');
+const { DEFAULT_COLORS, findLabel, findLabelByName, validateLabel } = require('../utils/labels');
+const { RANK_STEP, nextRank } = require('./board');
+const { TASK_FIELDS, initialChanges, recordActivities } = require('./activity');
+const { recordTransitions, presenceTransition } = require('./transitions');
+const { publish } = require('./events');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Export prefixes formula-like cells with an apostrophe; undo it on the way back in
+const cleanValue = (value) => {
+  if (typeof value !== 'string') return value;
+  return value.replace(/^'(?=[=+\-@\t\r])/, '').trim();
+};
+
+// Import files are client JSON: any entry of a list may be null, a string or an array
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Users can be referenced by email or username, as a string or as { email, username }
+const identifierOf = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') {
+    const identifier = [value.email, value.username].find(item => typeof item === 'string' && item.trim());
+    return identifier ? identifier.trim() : null;
+  }
+  return String(value).trim() || null;
+};
+
+const splitRefs = (value) => {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return String(value || '').split(/[;|]/).map(ref => ref.trim()).filter(Boolean);
+};
+
+const memberRef = (member) => (isPlainObject(member) ? member.user || member : member);
+
+const collectIdentifiers = (tasks, members) => {
+  const identifiers = [];
+  (Array.isArray(members) ? members : []).forEach(member => identifiers.push(identifierOf(memberRef(member))));
+  (Array.isArray(tasks) ? tasks : []).filter(isPlainObject).forEach(task => {
+    identifiers.push(identifierOf(task.assignee || task.assignedTo), identifierOf(task.createdBy));
+    (Array.isArray(task.comments) ? task.comments : []).filter(isPlainObject)
+      .forEach(comment => identifiers.push(identifierOf(comment.author)));
+  });
+  return identifiers.filter(Boolean);
+};
+
+// Lowercased email and username -> user, for the active accounts referenced by an import
+const loadUsers = async (identifiers) => {
+  const values = [...new Set(identifiers)];
+  const users = new Map();
+  if (!values.length) return users;
+
+  const found = await User.find({
+    deletedAt: null,
+    $or: [
+      { email: { $in: values.map(value => value.toLowerCase()) } },
+      { username: { $in: values } }
+    ]
+  }).select('username email');
+
+  found.forEach(user => {
+    users.set(user.email.toLowerCase(), user);
+    users.set(user.username.toLowerCase(), user);
+  });
+  return users;
+};
+
+const findUser = (users, value) => {
+  const identifier = identifierOf(value);
+  return identifier ? users.get(identifier.toLowerCase()) || null : null;
+};
+
+const findStatusByKeyOrName = (workflow, value) => {
+  const text = String(value).trim();
+  return findStatus(workflow, text) ||
+    workflow.statuses.find(status => status.name.toLowerCase() === text.toLowerCase()) ||
+    null;
+};
+
+// Detects cycles among imported rows following `edges(entry)` (ids of other imported rows)
+const findCycleRows = (entries, edges) => {
+  const byId = new Map(entries.map(entry => [entry.doc._id.toString(), entry]));
+  const state = new Map();
+  const inCycle = new Set();
+
+  const visit = (entry, path) => {
+    const id = entry.doc._id.toString();
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      path.slice(path.indexOf(id)).forEach(cycleId => inCycle.add(byId.get(cycleId).row));
+      return;
+    }
+    state.set(id, 'visiting');
+    edges(entry).forEach(targetId => {
+      const target = byId.get(targetId.toString());
+      if (target) visit(target, [...path, id]);
+    });
+    state.set(id, 'done');
+  };
+
+  entries.forEach(entry => visit(entry, []));
+  return inCycle;
+};
+
+// Validates CSV or JSON task rows; only owner and members (`allowedAssignees`) are assigned or credited.
+// Returns { entries, errors } with errors as a list of { row, errors } (rows are 1-based)
+const validateTaskRows = (rows, { workflow, users, allowedAssignees, labels = [], existingTaskIds = new Set() }) => {
+  const rowErrors = new Map();
+  const addError = (row, message) => {
+    if (!rowErrors.has(row)) rowErrors.set(row, []);
+    rowErrors.get(row).push(message);
+  };
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { entries: [], errors: [{ row: 0, errors: [`Imports are limited to ${MAX_IMPORT_ROWS} rows`] }] };
+  }
+
+  const refs = new Map();
+  const entries = rows.map((raw, index) => {
+    const row = index + 1;
+
+    if (!isPlainObject(raw)) {
+      addError(row, 'each task must be an object');
+      return { row, ref: null, parentRef: null, blockerRefs: [], comments: [], doc: { _id: new mongoose.Types.ObjectId() } };
+    }
+
+    const data = Object.fromEntries(Object.entries(raw).map(([key, value]) => [key, cleanValue(value)]));
+
+    const title = data.title ? String(data.title).trim() : '';
+    if (!title) addError(row, 'title is required');
+
+    const status = data.status ? findStatusByKeyOrName(workflow, data.status) : getInitialStatus(workflow);
+    if (!status) addError(row, `unknown status "${data.status}"`);
+
+    const priority = data.priority ? String(data.priority).toLowerCase() : 'medium';
+    if (!PRIORITIES.includes(priority)) addError(row, `priority must be one of: ${PRIORITIES.join(', ')}`);
+
+    let dueDate = null;
+    if (data.dueDate) {
+      dueDate = new Date(data.dueDate);
+      if (Number.isNaN(dueDate.getTime())) addError(row, `invalid dueDate "${data.dueDate}"`);
+    }
+
+    let assignedTo = null;
+    const assigneeRef = identifierOf(data.assignee || data.assignedTo);
+    if (assigneeRef) {
+      const user = findUser(users, assigneeRef);
+      if (!user) {
+        addError(row, `unknown user "${assigneeRef}"`);
+      } else if (!allowedAssignees.has(user._id.toString())) {
+        addError(row, `"${assigneeRef}" is not a member of the project`);
+      } else {
+        assignedTo = user._id;
+      }
+    }
+
+    // Creators outside the project are not credited, so imports cannot impersonate them
+    const creator = findUser(users, data.createdBy);
+    const createdBy = creator && allowedAssignees.has(creator._id.toString()) ? creator : null;
+
+    const labelIds = [...new Set(splitRefs(data.labels))].map(ref => {
+      const label = findLabel({ labels }, ref) || findLabelByName({ labels }, ref);
+      if (!label) addError(row, `unknown label "${ref}"`);
+      return label && label._id;
+    }).filter(Boolean);
+
+    if (data.description && typeof data.description !== 'string') addError(row, 'description must be text');
+
+    const checklist = Array.isArray(raw.checklist)
+      ? raw.checklist.map(item => {
+        if (typeof item === 'string') return { text: item };
+        return isPlainObject(item) ? { text: item.text, done: Boolean(item.done) } : { text: null };
+      })
+      : [];
+    if (checklist.some(item => typeof item.text !== 'string' || !item.text.trim())) {
+      addError(row, 'checklist items need a text');
+    }
+
+    // Comments by users outside the project are posted as the importer, naming the original author
+    const comments = [];
+    (Array.isArray(raw.comments) ? raw.comments : []).forEach((comment, commentIndex) => {
+      if (!isPlainObject(comment)) {
+        addError(row, `comment ${commentIndex + 1}: must be an object`);
+        return;
+      }
+
+      const authorRef = identifierOf(comment.author);
+      const user = findUser(users, authorRef);
+      const author = user && allowedAssignees.has(user._id.toString()) ? user : null;
+      if (typeof comment.text !== 'string' || !comment.text.trim()) addError(row, `comment ${commentIndex + 1}: text is required`);
+
+      let createdAt;
+      if (comment.createdAt) {
+        createdAt = new Date(comment.createdAt);
+        if (Number.isNaN(createdAt.getTime())) {
+          addError(row, `comment ${commentIndex + 1}: invalid createdAt "${comment.createdAt}"`);
+        }
+      }
+
+      comments.push({
+        _id: new mongoose.Types.ObjectId(),
+        number: commentIndex + 1,
+        ref: comment.id ? String(comment.id) : null,
+        parentRef: comment.parent ? String(comment.parent) : null,
+        author: author && author._id,
+        text: !author && authorRef ? `[Originally posted by ${authorRef}]\n${comment.text}` : comment.text,
+        createdAt
+      });
+    });
+
+    const ref = data.id ? String(data.id) : null;
+    if (ref && refs.has(ref)) addError(row, `duplicate id "${ref}"`);
+
+    const entry = {
+      row,
+      ref,
+      parentRef: data.parent ? String(data.parent) : null,
+      blockerRefs: splitRefs(data.blockedBy),
+      comments,
+      doc: {
+        _id: new mongoose.Types.ObjectId(),
+        title,
+        description: data.description || undefined,
+        status,
+        priority,
+        dueDate,
+        assignedTo,
+        createdBy: createdBy && createdBy._id,
+        labels: labelIds,
+        checklist
+      }
+    };
+    if (ref && !refs.has(ref)) refs.set(ref, entry);
+    return entry;
+  });
+
+  // References point at another imported row (by its `id`) or at a live task of the project
+  const resolveRef = (value) => {
+    if (refs.has(value)) return refs.get(value).doc._id;
+    if (existingTaskIds.has(value)) return new mongoose.Types.ObjectId(value);
+    return null;
+  };
+
+  entries.forEach(entry => {
+    entry.doc.parent = null;
+    if (entry.parentRef) {
+      const parentId = resolveRef(entry.parentRef);
+      if (!parentId) addError(entry.row, `unknown parent "${entry.parentRef}"`);
+      else if (parentId.equals(entry.doc._id)) addError(entry.row, 'a task cannot be its own parent');
+      else entry.doc.parent = parentId;
+    }
+
+    entry.doc.blockedBy = [];
+    entry.blockerRefs.forEach(blockerRef => {
+      const blockerId = resolveRef(blockerRef);
+      if (!blockerId) addError(entry.row, `unknown blocker "${blockerRef}"`);
+      else if (blockerId.equals(entry.doc._id)) addError(entry.row, 'a task cannot block itself');
+      else entry.doc.blockedBy.push(blockerId);
+    });
+
+    const commentRefs = new Map(entry.comments.filter(comment => comment.ref).map(comment => [comment.ref, comment._id]));
+    entry.comments.forEach(comment => {
+      comment.parent = null;
+      if (comment.parentRef) {
+        comment.parent = commentRefs.get(comment.parentRef) || null;
+        if (!comment.parent) addError(entry.row, `comment ${comment.number}: unknown parent comment "${comment.parentRef}"`);
+      }
+    });
+  });
+
+  findCycleRows(entries, entry => (entry.doc.parent ? [entry.doc.parent] : []))
+    .forEach(row => addError(row, 'parent references form a cycle'));
+  findCycleRows(entries, entry => entry.doc.blockedBy)
+    .forEach(row => addError(row, 'dependencies form a cycle'));
+
+  const errors = [...rowErrors.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([row, messages]) => ({ row, errors: messages }));
+
+  return { entries, errors };
+};
+
+// Validates a full project export before creating a new project from it
+const validateProjectImport = (data, { owner, users }) => {
+  const projectErrors = [];
+  const memberErrors = [];
+  const source = isPlainObject(data.project) ? data.project : {};
+
+  if (typeof source.name !== 'string' || !source.name.trim()) projectErrors.push('project.name is required');
+
+  const sourceWorkflow = isPlainObject(source.workflow) ? source.workflow : {};
+  const statuses = Array.isArray(sourceWorkflow.statuses)
+    ? sourceWorkflow.statuses.map(status => (isPlainObject(status) ? { key: status.key, name: status.name, category: status.category } : {}))
+    : [];
+  const transitions = Array.isArray(sourceWorkflow.transitions)
+    ? sourceWorkflow.transitions.map(transition => (isPlainObject(transition) ? { from: transition.from, to: transition.to } : {}))
+    : sourceWorkflow.transitions || [];
+  const workflow = statuses.length
+    ? { statuses, transitions, initialStatus: sourceWorkflow.initialStatus || statuses[0].key }
+    : null;
+  if (workflow) {
+    validateWorkflow(workflow).forEach(error => projectErrors.push(`workflow: ${error}`));
+  }
+
+  // Labels are validated one by one against the ones accepted so far, and get their ids now
+  // so task rows can be matched to them before anything is written
+  const labels = [];
+  (Array.isArray(source.labels) ? source.labels : []).forEach((label, index) => {
+    const { name, color } = label || {};
+    const errors = validateLabel({ labels }, { name, color: color || undefined });
+    if (errors.length) {
+      projectErrors.push(...errors.map(error => `label ${index + 1}: ${error}`));
+    } else {
+      labels.push({
+        _id: new mongoose.Types.ObjectId(),
+        name: name.trim(),
+        color: color || DEFAULT_COLORS[labels.length % DEFAULT_COLORS.length]
+      });
+    }
+  });
+
+  const members = [];
+  (Array.isArray(data.members) ? data.members : []).forEach((member, index) => {
+    const errors = [];
+    const identifier = identifierOf(memberRef(member));
+    const user = findUser(users, identifier);
+    const role = (isPlainObject(member) && member.role) || 'contributor';
+
+    if (!identifier) errors.push('member must reference a user by email or username');
+    else if (!user) errors.push(`unknown user "${identifier}"`);
+    if (!MEMBER_ROLES.includes(role)) errors.push(`role must be one of: ${MEMBER_ROLES.join(', ')}`);
+
+    if (errors.length) {
+      memberErrors.push({ row: index + 1, errors });
+    } else if (user._id.toString() !== owner._id.toString() &&
+      !members.some(existing => existing.user.toString() === user._id.toString())) {
+      members.push({ user: user._id, role });
+    }
+  });
+
+  return {
+    project: {
+      name: source.name,
+      description: source.description,
+      startDate: source.startDate,
+      endDate: source.endDate,
+      workflow: workflow || undefined,
+      labels
+    },
+    members,
+    projectErrors,
+    memberErrors
+  };
+};
+
+// Inserts validated entries; callers must only commit imports without errors
+const commitTaskImport = async (project, entries, actor) => {
+  const ranks = new Map();
+  const now = new Date();
+  const docs = [];
+
+  const mentionedNames = [...new Set(entries.flatMap(entry => extractMentions(entry.doc.description)))];
+  const mentionedUsers = mentionedNames.length
+    ? (await User.find({ username: { $in: mentionedNames }, deletedAt: null }).select('username'))
+      .filter(user => getProjectRole(project, user))
+    : [];
+
+  for (const entry of entries) {
+    const { status } = entry.doc;
+    if (!ranks.has(status.key)) ranks.set(status.key, await nextRank(project._id, status.key));
+    const rank = ranks.get(status.key);
+    ranks.set(status.key, rank + RANK_STEP);
+
+    const names = extractMentions(entry.doc.description);
+    docs.push({
+      ...entry.doc,
+      project: project._id,
+      status: status.key,
+      statusCategory: status.category,
+      completedAt: status.category === 'done' ? now : null,
+      rank,
+      mentions: mentionedUsers.filter(user => names.includes(user.username)).map(user => user._id),
+      checklist: entry.doc.checklist.map(item => ({
+        text: item.text,
+        done: Boolean(item.done),
+        completedAt: item.done ? now : undefined,
+        completedBy: item.done ? actor._id : undefined
+      })),
+      createdBy: entry.doc.createdBy || actor._id
+    });
+  }
+
+  const comments = entries.flatMap(entry => entry.comments.map(comment => ({
+    _id: comment._id,
+    task: entry.doc._id,
+    project: project._id,
+    author: comment.author || actor._id,
+    parent: comment.parent,
+    text: comment.text,
+    createdAt: comment.createdAt,
+    updatedAt: comment.createdAt
+  })));
+
+  let tasks;
+  try {
+    tasks = await Task.insertMany(docs);
+    if (comments.length) await Comment.insertMany(comments);
+  } catch (error) {
+    // Leave nothing half-imported behind
+    await Task.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    await Comment.deleteMany({ _id: { $in: comments.map(comment => comment._id) } });
+    throw error;
+  }
+
+  await recordActivities(tasks.map(task => ({
+    entityType: 'task',
+    entity: task,
+    project,
+    actor,
+    action: 'imported',
+    changes: initialChanges(task, TASK_FIELDS)
+  })));
+  await recordTransitions(tasks.map(task => presenceTransition(task, actor, true)));
+
+  // Imports do not notify assignees or mentioned users; integrations still get the events
+  tasks.forEach(task => publish('task.created', { project, actor, data: task }));
+
+  return { tasks: tasks.length, comments: comments.length };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  collectIdentifiers,
+  loadUsers,
+  validateTaskRows,
+  validateProjectImport,
+  commitTaskImport
+};
\ No newline at end of file
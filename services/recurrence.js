@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { isArchived } = require('../utils/permissions');
+const { getWorkflow, getInitialStatus } = require('../utils/workflow');
+const { nextOccurrence } = require('../utils/recurrence');
+const { nextRank } = require('./board');
+const { TASK_FIELDS, recordActivity, initialChanges } = require('./activity');
+const { recordTransition, presenceTransition } = require('./transitions');
+const { notifyAssignment } = require('./notifications');
+const { publish } = require('./events');
+
+const BATCH_SIZE = 100;
+
+// Creates the next occurrence of `task` once it is completed or overdue (`actor` is null for the scheduler).
+// Tasks are claimed first so the occurrence is never created twice; returns the new task or null
+const spawnNextOccurrence = async (task, actor, now = new Date()) => {
+  if (!task.recurrence || !task.dueDate || !task.nextOccurrenceAt) return null;
+
+  const project = await Project.findById(task.project);
+  // Archived projects keep their pending occurrences until they are unarchived
+  if (!project || isArchived(project)) return null;
+
+  const next = nextOccurrence(task.recurrence, task.dueDate, task.occurrence || 1, now);
+  const id = new mongoose.Types.ObjectId();
+
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, nextOccurrenceAt: { $ne: null } },
+    { $set: { nextOccurrenceAt: null, nextOccurrence: next ? id : null } }
+  );
+  if (!claimed || !next) return null;
+
+  const status = getInitialStatus(getWorkflow(project));
+  let occurrence;
+
+  try {
+    occurrence = await Task.create({
+      _id: id,
+      title: task.title,
+      description: task.description,
+      project: project._id,
+      status: status.key,
+      statusCategory: status.category,
+      rank: await nextRank(project._id, status.key),
+      priority: task.priority,
+      dueDate: next.dueDate,
+      assignedTo: task.assignedTo,
+      parent: task.parent,
+      mentions: task.mentions,
+      labels: task.labels,
+      customFields: task.customFields,
+      // Checklists start over on every occurrence
+      checklist: task.checklist.map(item => ({ text: item.text })),
+      createdBy: task.createdBy,
+      recurrence: task.recurrence.toObject ? task.recurrence.toObject() : task.recurrence,
+      recurrenceSeries: task.recurrenceSeries || task._id,
+      occurrence: next.occurrence,
+      nextOccurrenceAt: next.dueDate
+    });
+  } catch (error) {
+    await Task.updateOne(
+      { _id: task._id },
+      { $set: { nextOccurrenceAt: claimed.nextOccurrenceAt, nextOccurrence: null } }
+    );
+    throw error;
+  }
+
+  await recordActivity({
+    entityType: 'task',
+    entity: occurrence,
+    project,
+    actor,
+    action: 'created',
+    changes: initialChanges(occurrence, TASK_FIELDS)
+  });
+  await recordTransition(presenceTransition(occurrence, actor, true));
+
+  if (occurrence.assignedTo) {
+    await notifyAssignment(occurrence, project, actor);
+  }
+
+  publish('task.created', { project, actor, data: occurrence });
+
+  return occurrence;
+};
+
+// Generates the next occurrence of every recurring task whose due date has passed
+const generateDueOccurrences = async (now = new Date()) => {
+  const inactiveProjects = await Project.distinct('_id', {
+    $or: [{ status: 'archived' }, { deletedAt: { $ne: null } }]
+  });
+
+  let generated = 0;
+  let lastId = null;
+
+  // Tasks that cannot be generated yet stay pending, so page by id instead of re-querying from the start
+  for (;;) {
+    const filter = {
+      nextOccurrenceAt: { $ne: null, $lte: now },
+      project: { $nin: inactiveProjects }
+    };
+    if (lastId) filter._id = { $gt: lastId };
+
+    const tasks = await Task.find(filter).sort({ _id: 1 }).limit(BATCH_SIZE);
+    if (!tasks.length) break;
+
+    for (const task of tasks) {
+      try {
+        if (await spawnNextOccurrence(task, null, now)) generated += 1;
+      } catch (error) {
+        console.error(`Error generating next occurrence of task ${task._id}:`, error);
+      }
+    }
+    lastId = tasks[tasks.length - 1]._id;
+  }
+
+  return generated;
+};
+
+module.exports = {
+  spawnNextOccurrence,
+  generateDueOccurrences
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Notification = require('../models/Notification');
+const { notify } = require('./notifications');
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const BATCH_SIZE = 200;
+
+// "24h", "30m", "2d", "1w"; bare numbers are hours
+const parseDuration = (text) => {
+  const match = /^(\d+)\s*([mhdw]?)$/i.exec(text.trim());
+  if (!match) throw new Error(`Invalid reminder offset: ${text}`);
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 'h').toLowerCase()];
+};
+
+const parseOffsets = (value, fallback) => {
+  const text = value === undefined || value === '' ? fallback : value;
+  return [...new Set(text.split(',').filter(part => part.trim()).map(parseDuration))].sort((a, b) => a - b);
+};
+
+const formatDuration = (ms) => {
+  const unit = ['w', 'd', 'h', 'm'].find(key => ms % DURATION_UNITS[key] === 0);
+  return ms === 0 || !unit ? `${Math.round(ms / DURATION_UNITS.m)}m` : `${ms / DURATION_UNITS[unit]}${unit}`;
+};
+
+// Before the due date, to the assignee
+const DUE_REMINDER_OFFSETS = parseOffsets(process.env.DUE_REMINDER_OFFSETS, '24h,1h');
+// After the due date, to the assignee
+const OVERDUE_REMINDER_OFFSETS = parseOffsets(process.env.OVERDUE_REMINDER_OFFSETS, '0');
+// After the due date, to the project owner
+const OVERDUE_ESCALATION_OFFSETS = parseOffsets(process.env.OVERDUE_ESCALATION_OFFSETS, '24h,72h');
+// How long a missed reminder is still worth sending (e.g. after the scheduler was down)
+const REMINDER_CATCH_UP = parseDuration(process.env.REMINDER_CATCH_UP || '24h');
+
+// Latest reminder stage reached; a task that comes into range late skips the earlier stages
+const currentOffset = (offsets, elapsed) => {
+  const reached = offsets.filter(offset => offset <= elapsed);
+  return reached.length ? reached[reached.length - 1] : null;
+};
+
+const plannedNotifications = (task, project, now) => {
+  const due = task.dueDate.getTime();
+  const dueIso = task.dueDate.toISOString();
+  const assignee = task.assignedTo || project.owner;
+  const planned = [];
+
+  if (due > now) {
+    // Offsets count backwards from the due date, so the stage reached is the smallest passed offset
+    const remaining = due - now;
+    const offset = DUE_REMINDER_OFFSETS.find(candidate => candidate >= remaining);
+    if (offset !== undefined && offset - remaining <= REMINDER_CATCH_UP) {
+      planned.push({
+        type: 'due_soon',
+        recipients: [assignee],
+        message: `"${task.title}" is due ${dueIso}`,
+        dedupeKey: `due_soon:${task._id}:${dueIso}:${formatDuration(offset)}`
+      });
+    }
+    return planned;
+  }
+
+  const elapsed = now - due;
+
+  const overdueOffset = currentOffset(OVERDUE_REMINDER_OFFSETS, elapsed);
+  if (overdueOffset !== null && elapsed - overdueOffset <= REMINDER_CATCH_UP) {
+    planned.push({
+      type: 'overdue',
+      recipients: [assignee],
+      message: `"${task.title}" is overdue (it was due ${dueIso})`,
+      dedupeKey: `overdue:${task._id}:${dueIso}:${formatDuration(overdueOffset)}`
+    });
+  }
+
+  const escalationOffset = currentOffset(OVERDUE_ESCALATION_OFFSETS, elapsed);
+  if (escalationOffset !== null && elapsed - escalationOffset <= REMINDER_CATCH_UP) {
+    planned.push({
+      type: 'overdue',
+      recipients: [project.owner],
+      message: `"${task.title}" is still open ${formatDuration(escalationOffset)} after its due date`,
+      dedupeKey: `overdue_escalation:${task._id}:${dueIso}:${formatDuration(escalationOffset)}`
+    });
+  }
+
+  return planned;
+};
+
+const processBatch = async (tasks, now) => {
+  const projects = await Project.find({ _id: { $in: [...new Set(tasks.map(task => task.project.toString()))] } })
+    .select('owner status');
+  const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+
+  const planned = tasks.flatMap(task => {
+    const project = projectsById.get(task.project.toString());
+    return project ? plannedNotifications(task, project, now).map(entry => ({ ...entry, task, project })) : [];
+  });
+
+  // Skip what was already sent instead of relying on duplicate key errors on every run
+  const keys = planned.flatMap(entry => entry.recipients.filter(Boolean).map(recipient => `${entry.dedupeKey}:${recipient}`));
+  const sent = new Set(keys.length ? await Notification.distinct('dedupeKey', { dedupeKey: { $in: keys } }) : []);
+
+  let created = 0;
+  for (const entry of planned) {
+    const recipients = entry.recipients.filter(recipient => recipient && !sent.has(`${entry.dedupeKey}:${recipient}`));
+    if (!recipients.length) continue;
+
+    const notifications = await notify({
+      recipients,
+      type: entry.type,
+      project: entry.project,
+      task: entry.task,
+      message: entry.message,
+      dedupeKey: entry.dedupeKey
+    });
+    created += notifications.length;
+  }
+  return created;
+};
+
+// Sends the due-date reminders and overdue escalations that are due; returns how many were created
+const sendDueReminders = async (now = new Date()) => {
+  const before = Math.max(0, ...DUE_REMINDER_OFFSETS);
+  const after = Math.max(0, ...OVERDUE_REMINDER_OFFSETS, ...OVERDUE_ESCALATION_OFFSETS) + REMINDER_CATCH_UP;
+
+  const inactiveProjects = await Project.distinct('_id', {
+    $or: [{ status: 'archived' }, { deletedAt: { $ne: null } }]
+  });
+
+  const cursor = Task.find({
+    statusCategory: { $ne: 'done' },
+    dueDate: { $gte: new Date(now.getTime() - after), $lte: new Date(now.getTime() + before) },
+    project: { $nin: inactiveProjects }
+  })
+    .select('title project dueDate assignedTo')
+    .sort({ _id: 1 })
+    .cursor();
+
+  let created = 0;
+  let batch = [];
+  for await (const task of cursor) {
+    batch.push(task);
+    if (batch.length === BATCH_SIZE) {
+      created += await processBatch(batch, now.getTime());
+      batch = [];
+    }
+  }
+  if (batch.length) created += await processBatch(batch, now.getTime());
+
+  return created;
+};
+
+module.exports = {
+  DUE_REMINDER_OFFSETS,
+  OVERDUE_REMINDER_OFFSETS,
+  OVERDUE_ESCALATION_OFFSETS,
+  parseDuration,
+  sendDueReminders
+};
\ No newline at end of file
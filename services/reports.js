@@ -0,0 +1,296 @@
+const Task = require('../models/Task');
+const StatusTransition = require('../models/StatusTransition');
+const { getWorkflow } = require('../utils/workflow');
+const { DATE_FORMATS, listPeriods } = require('../utils/periods');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDone = { $eq: ['$statusCategory', 'done'] };
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+const round = (value, decimals = 2) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+// Dashboard numbers for one project, computed in a single aggregation.
+// Cycle time is measured from creation (the initial status) to completedAt.
+const buildProjectStats = async (project, { from, to, interval }) => {
+  const now = new Date();
+  const format = DATE_FORMATS[interval];
+  const isOverdue = {
+    $and: [
+      { $not: [isDone] },
+      { $eq: [{ $type: '$dueDate' }, 'date'] },
+      { $lt: ['$dueDate', now] }
+    ]
+  };
+
+  const [facets] = await Task.aggregate([
+    { $match: { project: project._id } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              completed: countIf(isDone),
+              overdue: countIf(isOverdue)
+            }
+          }
+        ],
+        byStatus: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        byPriority: [
+          { $group: { _id: '$priority', count: { $sum: 1 } } }
+        ],
+        workload: [
+          {
+            $group: {
+              _id: '$assignedTo',
+              total: { $sum: 1 },
+              open: countIf({ $not: [isDone] }),
+              inProgress: countIf({ $eq: ['$statusCategory', 'in_progress'] }),
+              completed: countIf(isDone),
+              overdue: countIf(isOverdue)
+            }
+          },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          {
+            $project: {
+              _id: 0,
+              user: {
+                $let: {
+                  vars: { user: { $arrayElemAt: ['$user', 0] } },
+                  in: {
+                    $cond: [
+                      { $ifNull: ['$$user', false] },
+                      { _id: '$$user._id', username: '$$user.username', email: '$$user.email' },
+                      null
+                    ]
+                  }
+                }
+              },
+              total: 1,
+              open: 1,
+              inProgress: 1,
+              completed: 1,
+              overdue: 1
+            }
+          },
+          { $sort: { open: -1, total: -1 } }
+        ],
+        cycleTime: [
+          { $match: { statusCategory: 'done', completedAt: { $ne: null } } },
+          {
+            $group: {
+              _id: null,
+              average: { $avg: { $subtract: ['$completedAt', '$createdAt'] } },
+              min: { $min: { $subtract: ['$completedAt', '$createdAt'] } },
+              max: { $max: { $subtract: ['$completedAt', '$createdAt'] } },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        baseline: [
+          { $match: { createdAt: { $lt: from } } },
+          {
+            $group: {
+              _id: null,
+              created: { $sum: 1 },
+              completed: countIf({ $and: [isDone, { $lt: ['$completedAt', from] }] })
+            }
+          }
+        ],
+        created: [
+          { $match: { createdAt: { $gte: from, $lte: to } } },
+          { $group: { _id: { $dateToString: { format, date: '$createdAt' } }, count: { $sum: 1 } } }
+        ],
+        completed: [
+          { $match: { statusCategory: 'done', completedAt: { $gte: from, $lte: to } } },
+          { $group: { _id: { $dateToString: { format, date: '$completedAt' } }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = facets.totals[0] || { total: 0, completed: 0, overdue: 0 };
+  const toMap = (rows) => new Map(rows.map(row => [row._id, row.count]));
+
+  // Every workflow status is listed, plus any leftover status still stored on tasks
+  const statusCounts = toMap(facets.byStatus);
+  const workflow = getWorkflow(project);
+  const byStatus = workflow.statuses.map(status => ({
+    status: status.key,
+    name: status.name,
+    category: status.category,
+    count: statusCounts.get(status.key) || 0
+  }));
+  facets.byStatus
+    .filter(row => !workflow.statuses.some(status => status.key === row._id))
+    .forEach(row => byStatus.push({ status: row._id, name: row._id, category: null, count: row.count }));
+
+  const priorityCounts = toMap(facets.byPriority);
+  const byPriority = ['low', 'medium', 'high'].reduce((result, priority) => {
+    result[priority] = priorityCounts.get(priority) || 0;
+    return result;
+  }, {});
+
+  const cycle = facets.cycleTime[0];
+  const cycleTime = {
+    sampleSize: cycle ? cycle.count : 0,
+    averageMs: cycle ? Math.round(cycle.average) : null,
+    averageDays: cycle ? round(cycle.average / DAY_MS) : null,
+    minDays: cycle ? round(cycle.min / DAY_MS) : null,
+    maxDays: cycle ? round(cycle.max / DAY_MS) : null
+  };
+
+  // Completion rate per period is cumulative: completed so far / created so far
+  const baseline = facets.baseline[0] || { created: 0, completed: 0 };
+  const createdByPeriod = toMap(facets.created);
+  const completedByPeriod = toMap(facets.completed);
+  let createdSoFar = baseline.created;
+  let completedSoFar = baseline.completed;
+
+  const buckets = listPeriods(from, to, interval).map(period => {
+    const created = createdByPeriod.get(period) || 0;
+    const completed = completedByPeriod.get(period) || 0;
+    createdSoFar += created;
+    completedSoFar += completed;
+
+    return {
+      period,
+      created,
+      completed,
+      completionRate: createdSoFar ? round(completedSoFar / createdSoFar, 4) : 0
+    };
+  });
+
+  return {
+    totals: {
+      tasks: totals.total,
+      completed: totals.completed,
+      open: totals.total - totals.completed,
+      overdue: totals.overdue,
+      completionRate: totals.total ? round(totals.completed / totals.total, 4) : 0
+    },
+    byStatus,
+    byPriority,
+    workload: facets.workload,
+    cycleTime,
+    completionOverTime: {
+      interval,
+      from,
+      to,
+      buckets
+    }
+  };
+};
+
+// Replays the recorded status transitions to get, for every day between from and
+// to, how many live tasks were in each status at the end of that day
+const buildDailyFlow = async (project, { from, to }) => {
+  const baseline = await StatusTransition.aggregate([
+    { $match: { project: project._id, at: { $lt: from } } },
+    { $sort: { at: 1, _id: 1 } },
+    { $group: { _id: '$task', status: { $last: '$to' }, category: { $last: '$toCategory' } } },
+    { $match: { status: { $ne: null } } }
+  ]);
+
+  const transitions = await StatusTransition.find({ project: project._id, at: { $gte: from, $lte: to } })
+    .sort({ at: 1, _id: 1 })
+    .select('task to toCategory at')
+    .lean();
+
+  const current = new Map();
+  const statusCounts = new Map();
+  const categoryCounts = new Map();
+  const bump = (counts, key, delta) => counts.set(key, (counts.get(key) || 0) + delta);
+
+  const apply = (taskId, status, category) => {
+    const previous = current.get(taskId);
+    if (previous) {
+      bump(statusCounts, previous.status, -1);
+      bump(categoryCounts, previous.category, -1);
+      current.delete(taskId);
+    }
+    if (status) {
+      bump(statusCounts, status, 1);
+      bump(categoryCounts, category, 1);
+      current.set(taskId, { status, category });
+    }
+  };
+
+  baseline.forEach(entry => apply(entry._id.toString(), entry.status, entry.category));
+
+  const now = Date.now();
+  let next = 0;
+
+  return listPeriods(from, to, 'day').map(date => {
+    const dayStart = Date.parse(`${date}T00:00:00.000Z`);
+    const dayEnd = dayStart + DAY_MS - 1;
+
+    while (next < transitions.length && transitions[next].at.getTime() <= dayEnd) {
+      const transition = transitions[next];
+      apply(transition.task.toString(), transition.to, transition.toCategory);
+      next += 1;
+    }
+
+    return {
+      date,
+      future: dayStart > now,
+      statuses: Object.fromEntries([...statusCounts].filter(([, count]) => count > 0)),
+      categories: Object.fromEntries([...categoryCounts].filter(([, count]) => count > 0))
+    };
+  });
+};
+
+// Remaining open work per day plus the ideal straight line down to zero at `to`
+const buildBurndown = async (project, range) => {
+  const days = await buildDailyFlow(project, range);
+  const openOn = (day) => (day.categories.todo || 0) + (day.categories.in_progress || 0);
+  const startRemaining = days.length ? openOn(days[0]) : 0;
+
+  return {
+    startDate: range.from,
+    endDate: range.to,
+    series: days.map((day, index) => ({
+      date: day.date,
+      remaining: day.future ? null : openOn(day),
+      completed: day.future ? null : day.categories.done || 0,
+      ideal: round(days.length > 1 ? startRemaining * (1 - index / (days.length - 1)) : 0)
+    }))
+  };
+};
+
+// Per-status counts per day, one series per workflow status in workflow order
+const buildCumulativeFlow = async (project, range) => {
+  const days = await buildDailyFlow(project, range);
+  const workflow = getWorkflow(project);
+
+  const statuses = workflow.statuses.map(status => ({ key: status.key, name: status.name, category: status.category }));
+  days.forEach(day => Object.keys(day.statuses).forEach(key => {
+    if (!statuses.some(status => status.key === key)) {
+      statuses.push({ key, name: key, category: null });
+    }
+  }));
+
+  const pastDays = days.filter(day => !day.future);
+
+  return {
+    startDate: range.from,
+    endDate: range.to,
+    dates: pastDays.map(day => day.date),
+    statuses,
+    series: statuses.map(status => ({
+      status: status.key,
+      name: status.name,
+      data: pastDays.map(day => day.statuses[status.key] || 0)
+    }))
+  };
+};
+
+module.exports = {
+  buildProjectStats,
+  buildBurndown,
+  buildCumulativeFlow
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+// In-process periodic jobs. Each job runs on its own interval and never overlaps itself;
+// jobs must be safe to run from several processes at once (web servers and workers).
+
+const jobs = new Map();
+
+const defineJob = (name, intervalMs, run) => {
+  if (jobs.has(name)) throw new Error(`Job ${name} is already defined`);
+  jobs.set(name, { name, intervalMs, run, running: false, timer: null, lastRunAt: null });
+};
+
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) return;
+
+  job.running = true;
+  try {
+    await job.run();
+    job.lastRunAt = new Date();
+  } catch (error) {
+    console.error(`Error running job ${name}:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+// `keepAlive` keeps the process running on the timers alone, for standalone workers
+const start = ({ keepAlive = false, runNow = false } = {}) => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    if (!keepAlive) job.timer.unref();
+    if (runNow) runJob(job.name);
+  });
+};
+
+const stop = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Resolves once the jobs that are running right now have finished
+const drain = async () => {
+  while ([...jobs.values()].some(job => job.running)) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+const listJobs = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt
+}));
+
+module.exports = {
+  defineJob,
+  runJob,
+  start,
+  stop,
+  drain,
+  listJobs
+};
\ No newline at end of file
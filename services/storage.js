@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+const getRootDir = () => path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+
+// Keys are generated by the API, but never let one escape the storage root
+const resolveKey = (key) => {
+  const root = getRootDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Stores files under STORAGE_DIR (default ./uploads), one file per key
+const localBackend = {
+  put: async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  getStream: async (key) => {
+    const filePath = resolveKey(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  },
+
+  remove: async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+const backends = {
+  local: localBackend
+};
+
+let activeBackend = null;
+
+// Other backends (S3-compatible...) only need async put(key, buffer, meta), getStream(key) and remove(key)
+const registerBackend = (name, backend) => {
+  if (!backend || ['put', 'getStream', 'remove'].some(method => typeof backend[method] !== 'function')) {
+    throw new Error('Storage backend must implement put, getStream and remove');
+  }
+  backends[name] = backend;
+};
+
+const setBackend = (backend) => {
+  activeBackend = typeof backend === 'string' ? backends[backend] : backend;
+  if (!activeBackend) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+};
+
+const getBackend = () => {
+  if (!activeBackend) {
+    setBackend(process.env.STORAGE_BACKEND || 'local');
+  }
+  return activeBackend;
+};
+
+const putFile = (key, buffer, meta = {}) => getBackend().put(key, buffer, meta);
+
+const getFileStream = (key) => getBackend().getStream(key);
+
+const removeFile = (key) => getBackend().remove(key);
+
+// Used when tasks or projects go away: a missing file must not abort the deletion
+const removeFiles = async (keys) => {
+  const results = await Promise.allSettled(keys.map(key => removeFile(key)));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Error removing stored file:', result.reason));
+};
+
+module.exports = {
+  registerBackend,
+  setBackend,
+  putFile,
+  getFileStream,
+  removeFile,
+  removeFiles
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+const Task = require('../models/Task');
+const { isCompleted } = require('./taskHierarchy');
+
+// Status categories that cannot be entered while the task still has open blockers
+const BLOCKED_CATEGORIES = ['in_progress', 'done'];
+
+const isBlockedTransition = (category) => BLOCKED_CATEGORIES.includes(category);
+
+const findOpenBlockers = async (task) => {
+  if (!task.blockedBy || !task.blockedBy.length) return [];
+
+  const blockers = await Task.find({ _id: { $in: task.blockedBy } }).select('title status statusCategory');
+  return blockers.filter(blocker => !isCompleted(blocker));
+};
+
+// Adding "blocker blocks task" closes a cycle when the blocker already depends on the task
+const wouldCreateCycle = async (projectId, taskId, blockerId) => {
+  const tasks = await Task.find({ project: projectId, 'blockedBy.0': { $exists: true } })
+    .select('blockedBy')
+    .lean();
+
+  const edges = new Map(tasks.map(task => [
+    task._id.toString(),
+    task.blockedBy.map(id => id.toString())
+  ]));
+
+  const target = taskId.toString();
+  const visited = new Set();
+  const stack = [blockerId.toString()];
+
+  while (stack.length) {
+    const current = stack.pop();
+    if (current === target) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+    (edges.get(current) || []).forEach(next => stack.push(next));
+  }
+
+  return false;
+};
+
+const buildDependencyGraph = async (projectId) => {
+  const linked = await Task.find({ project: projectId, 'blockedBy.0': { $exists: true } })
+    .select('blockedBy')
+    .lean();
+
+  const edges = [];
+  const nodeIds = new Set();
+
+  linked.forEach(task => {
+    task.blockedBy.forEach(blockerId => {
+      edges.push({ from: blockerId.toString(), to: task._id.toString(), type: 'blocks' });
+      nodeIds.add(blockerId.toString());
+      nodeIds.add(task._id.toString());
+    });
+  });
+
+  const nodes = await Task.find({ _id: { $in: [...nodeIds] } })
+    .select('title status statusCategory priority assignedTo dueDate')
+    .lean();
+
+  const completed = new Set(nodes.filter(isCompleted).map(node => node._id.toString()));
+  const blocked = new Set(edges.filter(edge => !completed.has(edge.from)).map(edge => edge.to));
+
+  return {
+    nodes: nodes.map(node => ({ ...node, blocked: blocked.has(node._id.toString()) })),
+    edges
+  };
+};
+
+module.exports = {
+  BLOCKED_CATEGORIES,
+  isBlockedTransition,
+  findOpenBlockers,
+  wouldCreateCycle,
+  buildDependencyGraph
+};
\ No newline at end of file
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+const isCompleted = (task) => task.statusCategory === 'done';
+
+// Returns an error message when `parentId` cannot be the parent of `task`, otherwise null
+const validateParent = async (task, parentId, projectId) => {
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return 'Invalid parent task id';
+  }
+
+  const parent = await Task.findById(parentId).select('project parent');
+
+  if (!parent) return 'Parent task not found';
+  if (parent.project.toString() !== projectId.toString()) {
+    return 'Parent task must belong to the same project';
+  }
+  if (!task) return null;
+
+  // Walk up from the new parent; reaching the task itself means the link would close a cycle
+  const visited = new Set();
+  let current = parent;
+
+  while (current) {
+    const currentId = current._id.toString();
+    if (currentId === task._id.toString()) {
+      return 'A task cannot be a subtask of itself or of its own subtasks';
+    }
+    if (visited.has(currentId)) break;
+    visited.add(currentId);
+
+    current = current.parent ? await Task.findById(current.parent).select('parent') : null;
+  }
+
+  return null;
+};
+
+const checklistProgress = (checklist) => {
+  if (!checklist || !checklist.length) return null;
+  const done = checklist.filter(item => item.done).length;
+  return Math.round((done / checklist.length) * 100);
+};
+
+// Completion percentage of every task in the list: completed tasks are 100,
+// parents average their subtasks and leaves fall back to their checklist
+const computeProgress = (tasks) => {
+  const children = new Map();
+  tasks.forEach(task => {
+    if (!task.parent) return;
+    const parentId = task.parent.toString();
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(task);
+  });
+
+  const progress = new Map();
+  const resolving = new Set();
+
+  const resolve = (task) => {
+    const id = task._id.toString();
+    if (progress.has(id)) return progress.get(id);
+    if (resolving.has(id)) return 0;
+    resolving.add(id);
+
+    let value;
+    const subtasks = children.get(id) || [];
+
+    if (isCompleted(task)) {
+      value = 100;
+    } else if (subtasks.length) {
+      value = Math.round(subtasks.reduce((sum, subtask) => sum + resolve(subtask), 0) / subtasks.length);
+    } else {
+      value = checklistProgress(task.checklist) || 0;
+    }
+
+    resolving.delete(id);
+    progress.set(id, value);
+    return value;
+  };
+
+  tasks.forEach(resolve);
+  return progress;
+};
+
+const PROGRESS_FIELDS = { parent: 1, statusCategory: 1, 'checklist.done': 1 };
+
+// The given tasks plus every live task below them, with only the fields progress needs.
+// Walks the hierarchy in the database so large projects are never loaded whole
+const loadSubtrees = async (taskIds) => {
+  if (!taskIds.length) return [];
+
+  const roots = await Task.aggregate([
+    { $match: { _id: { $in: taskIds.map(id => new mongoose.Types.ObjectId(id.toString())) } } },
+    {
+      $graphLookup: {
+        from: Task.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+        restrictSearchWithMatch: { deletedAt: null }
+      }
+    },
+    {
+      $project: {
+        ...PROGRESS_FIELDS,
+        'descendants._id': 1,
+        'descendants.parent': 1,
+        'descendants.statusCategory': 1,
+        'descendants.checklist.done': 1
+      }
+    }
+  ]);
+
+  const tasks = new Map();
+  roots.forEach(({ descendants, ...root }) => {
+    [root, ...descendants].forEach(task => tasks.set(task._id.toString(), task));
+  });
+  return [...tasks.values()];
+};
+
+// Progress of the given tasks (and of their subtasks, which it depends on)
+const loadProgress = async (taskIds) => computeProgress(await loadSubtrees(taskIds));
+
+// Nests every task under its parent; tasks whose parent is not in the list become roots
+const buildTree = (tasks) => {
+  const nodes = new Map(tasks.map(task => [task._id.toString(), { ...task, subtasks: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent._id ? node.parent._id.toString() : node.parent.toString());
+    if (parent) {
+      parent.subtasks.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+const collectDescendantIds = (rootIds, tasks) => {
+  const children = new Map();
+  tasks.forEach(task => {
+    if (!task.parent) return;
+    const parentId = task.parent.toString();
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(task._id.toString());
+  });
+
+  const result = new Set();
+  const queue = rootIds.map(id => id.toString());
+  while (queue.length) {
+    const id = queue.shift();
+    (children.get(id) || []).forEach(childId => {
+      if (result.has(childId)) return;
+      result.add(childId);
+      queue.push(childId);
+    });
+  }
+
+  return [...result];
+};
+
+module.exports = {
+  isCompleted,
+  validateParent,
+  checklistProgress,
+  computeProgress,
+  loadSubtrees,
+  loadProgress,
+  buildTree,
+  collectDescendantIds
+};
\ No newline at end of file
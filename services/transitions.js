@@ -0,0 +1,49 @@
+const StatusTransition = require('../models/StatusTransition');
+
+const toEntry = ({ task, project, from = null, to = null, fromCategory = null, toCategory = null, actor, at }) => ({
+  task: task._id || task,
+  project: project._id || project,
+  from,
+  to,
+  fromCategory,
+  toCategory,
+  actor: actor && (actor._id || actor),
+  at: at || new Date()
+});
+
+// Like activity, a failure to record history must not fail the request
+const recordTransition = async (transition) => {
+  try {
+    await StatusTransition.create(toEntry(transition));
+  } catch (error) {
+    console.error('Error recording status transition:', error);
+  }
+};
+
+const recordTransitions = async (transitions) => {
+  if (!transitions.length) return;
+
+  try {
+    await StatusTransition.insertMany(transitions.map(toEntry));
+  } catch (error) {
+    console.error('Error recording status transitions:', error);
+  }
+};
+
+// Transition for a task entering (`entering`) or leaving the project's active set
+const presenceTransition = (task, actor, entering, at) => ({
+  task,
+  project: task.project,
+  from: entering ? null : task.status,
+  to: entering ? task.status : null,
+  fromCategory: entering ? null : task.statusCategory,
+  toCategory: entering ? task.statusCategory : null,
+  actor,
+  at
+});
+
+module.exports = {
+  recordTransition,
+  recordTransitions,
+  presenceTransition
+};
\ No newline at end of file
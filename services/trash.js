@@ -0,0 +1,232 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const { collectDescendantIds } = require('./taskHierarchy');
+const { removeFiles } = require('./storage');
+const { recordActivity, recordActivities } = require('./activity');
+const { recordTransitions, presenceTransition } = require('./transitions');
+const StatusTransition = require('../models/StatusTransition');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeDate = (deletedAt) => (deletedAt ? new Date(deletedAt.getTime() + RETENTION_DAYS * DAY_MS) : null);
+
+// Everything trashed in one operation shares the same deletedAt, which is how
+// restoring the root brings back exactly what went to the trash with it.
+
+// Trashes the task and all its live subtasks; returns the ids of the trashed tasks
+const trashTask = async (task, actor) => {
+  const projectTasks = await Task.find({ project: task.project }).select('project parent status statusCategory').lean();
+  const ids = [task._id, ...collectDescendantIds([task._id], projectTasks)].map(id => id.toString());
+  const deletedAt = new Date();
+
+  await Task.updateMany(
+    { _id: { $in: ids }, deletedAt: null },
+    { $set: { deletedAt, deletedBy: actor._id } }
+  );
+  await recordTransitions(projectTasks
+    .filter(projectTask => ids.includes(projectTask._id.toString()))
+    .map(projectTask => presenceTransition(projectTask, actor, false, deletedAt)));
+
+  task.deletedAt = deletedAt;
+  task.deletedBy = actor._id;
+  return ids;
+};
+
+const restoreTrashedTask = async (task, actor) => {
+  const filter = { project: task.project, deletedAt: task.deletedAt };
+  const restored = await Task.find(filter).select('project status statusCategory').lean();
+
+  await Task.updateMany(filter, { $set: { deletedAt: null, deletedBy: null } });
+  await recordTransitions(restored.map(restoredTask => presenceTransition(restoredTask, actor, true)));
+
+  task.deletedAt = null;
+  task.deletedBy = null;
+  return restored.length;
+};
+
+// Tasks are archived together with their project
+const trashProject = async (project, actor) => {
+  const deletedAt = new Date();
+
+  project.deletedAt = deletedAt;
+  project.deletedBy = actor._id;
+  await project.save();
+
+  const tasks = await Task.find({ project: project._id }).select('project status statusCategory').lean();
+  await Task.updateMany(
+    { project: project._id, deletedAt: null },
+    { $set: { deletedAt, deletedBy: actor._id } }
+  );
+  await recordTransitions(tasks.map(task => presenceTransition(task, actor, false, deletedAt)));
+};
+
+const restoreTrashedProject = async (project, actor) => {
+  const filter = { project: project._id, deletedAt: project.deletedAt };
+  const tasks = await Task.find(filter).select('project status statusCategory').lean();
+
+  await Task.updateMany(filter, { $set: { deletedAt: null, deletedBy: null } });
+  await recordTransitions(tasks.map(task => presenceTransition(task, actor, true)));
+
+  project.deletedAt = null;
+  project.deletedBy = null;
+  await project.save();
+};
+
+// Permanent removal: comments, stored files and references from other tasks go too
+const purgeTasks = async (tasks) => {
+  if (!tasks.length) return;
+  const ids = tasks.map(task => task._id);
+
+  await removeFiles(tasks.flatMap(task => (task.attachments || []).map(attachment => attachment.key)));
+  await Comment.deleteMany({ task: { $in: ids } });
+  await Notification.deleteMany({ task: { $in: ids } });
+  await Task.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+  await Task.updateMany({ parent: { $in: ids } }, { $set: { parent: null } });
+  await Task.deleteMany({ _id: { $in: ids } });
+};
+
+const purgeProject = async (project) => {
+  const tasks = await Task.find({ project: project._id })
+    .setOptions({ withDeleted: true })
+    .select('attachments.key');
+  await purgeTasks(tasks);
+
+  const webhookIds = await Webhook.distinct('_id', { project: project._id });
+  await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+  await Webhook.deleteMany({ project: project._id });
+  await Notification.deleteMany({ project: project._id });
+  await StatusTransition.deleteMany({ project: project._id });
+  await Project.deleteOne({ _id: project._id });
+};
+
+// Cascade for a removed user: owned projects go to the successor, memberships are
+// dropped and assignments move to the successor where they can see the project,
+// otherwise they are cleared. Trashed projects and tasks are included.
+const detachUser = async (user, successor, actor) => {
+  const summary = { projectsTransferred: 0, membershipsRemoved: 0, tasksReassigned: 0, tasksUnassigned: 0 };
+
+  if (successor) {
+    const ownedProjects = await Project.find({ owner: user._id }).setOptions({ withDeleted: true });
+
+    for (const project of ownedProjects) {
+      project.owner = successor._id;
+      project.members = project.members.filter(member => member.user.toString() !== successor._id.toString());
+      await project.save();
+
+      await recordActivity({
+        entityType: 'project',
+        entity: project,
+        project,
+        actor,
+        action: 'owner_changed',
+        changes: [{ field: 'owner', oldValue: user._id.toString(), newValue: successor._id.toString() }]
+      });
+    }
+    summary.projectsTransferred = ownedProjects.length;
+  }
+
+  const membershipResult = await Project.updateMany(
+    { 'members.user': user._id },
+    { $pull: { members: { user: user._id } } }
+  );
+  summary.membershipsRemoved = membershipResult.modifiedCount;
+
+  const tasks = await Task.find({ assignedTo: user._id }).setOptions({ withDeleted: true }).select('project');
+  if (!tasks.length) return summary;
+
+  const reachable = new Set();
+  if (successor) {
+    const projectIds = await Project.distinct('_id', {
+      $or: [{ owner: successor._id }, { 'members.user': successor._id }]
+    });
+    projectIds.forEach(id => reachable.add(id.toString()));
+  }
+
+  const reassigned = tasks.filter(task => reachable.has(task.project.toString()));
+  const unassigned = tasks.filter(task => !reachable.has(task.project.toString()));
+
+  if (reassigned.length) {
+    await Task.updateMany({ _id: { $in: reassigned.map(task => task._id) } }, { $set: { assignedTo: successor._id } });
+  }
+  if (unassigned.length) {
+    await Task.updateMany({ _id: { $in: unassigned.map(task => task._id) } }, { $set: { assignedTo: null } });
+  }
+
+  await recordActivities(tasks.map(task => ({
+    entityType: 'task',
+    entity: task,
+    project: task.project,
+    actor,
+    action: 'updated',
+    changes: [{
+      field: 'assignedTo',
+      oldValue: user._id.toString(),
+      newValue: reachable.has(task.project.toString()) ? successor._id.toString() : null
+    }]
+  })));
+
+  summary.tasksReassigned = reassigned.length;
+  summary.tasksUnassigned = unassigned.length;
+  return summary;
+};
+
+// Accounts are never hard-deleted: personal data is scrubbed and the document stays
+// so createdBy, activity and comment authors keep pointing at something
+const anonymizeUser = async (user) => {
+  const placeholder = `deleted-${user._id}`;
+
+  await RefreshToken.deleteMany({ user: user._id });
+  await UserToken.deleteMany({ user: user._id });
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        username: placeholder,
+        email: `${placeholder}@deleted.invalid`,
+        firstName: 'Deleted',
+        lastName: 'User',
+        password: `!${placeholder}`,
+        anonymizedAt: new Date()
+      },
+      $unset: { calendarTokenHash: 1, calendarTokenCreatedAt: 1 }
+    }
+  );
+};
+
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+
+  const projects = await Project.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const project of projects) {
+    await purgeProject(project);
+  }
+
+  const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('attachments.key');
+  await purgeTasks(tasks);
+
+  const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff }, anonymizedAt: null }).select('_id');
+  for (const user of users) {
+    await anonymizeUser(user);
+  }
+
+  return { projects: projects.length, tasks: tasks.length, users: users.length };
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDate,
+  trashTask,
+  restoreTrashedTask,
+  trashProject,
+  restoreTrashedProject,
+  detachUser,
+  purgeExpired
+};
\ No newline at end of file
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('./events');
+const { isPrivateAddress } = require('../utils/network');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// How long a claimed delivery stays reserved for the process attempting it
+const CLAIM_LEASE_MS = REQUEST_TIMEOUT_MS * 6;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Exponential backoff: 30s, 1m, 2m, 4m... between attempts
+const retryDelay = (attempts) => RETRY_BASE_MS * Math.pow(2, attempts - 1);
+
+// Returns an error message unless `value` is an http(s) URL whose host only resolves to public addresses
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'url must be a valid http(s) URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'url must be a valid http(s) URL';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses = [host];
+
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return `url host could not be resolved: ${host}`;
+    }
+  }
+
+  if (addresses.some(isPrivateAddress)) {
+    return 'url must point to a public address; loopback, private and link-local hosts are not allowed';
+  }
+  return null;
+};
+
+// dns.lookup for outgoing requests: the address actually connected to is checked too,
+// so a host cannot pass checkWebhookUrl and then re-resolve to an internal address
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host resolves to a non-public address: ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Redirects are not followed: a 3xx response counts as a failed attempt
+const postJson = (url, body, headers) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+      method: 'POST',
+      lookup: lookupPublicAddress,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+// Reserves a due delivery for this process; the API and the worker both resume pending
+// deliveries, and only the one that claims it may POST
+const claimDelivery = (deliveryId) => {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      status: 'pending',
+      $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+    },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+    { new: true }
+  );
+};
+
+const attemptDelivery = async (deliveryId) => {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) return;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook removed or disabled';
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const urlError = await checkWebhookUrl(webhook.url);
+    if (urlError) throw new Error(urlError);
+
+    const statusCode = await postJson(webhook.url, body, {
+      'User-Agent': 'task-management-webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+    });
+
+    delivery.responseStatus = statusCode;
+    if (statusCode >= 200 && statusCode < 300) {
+      delivery.status = 'success';
+      delivery.error = undefined;
+    } else {
+      delivery.error = `Unexpected response status ${statusCode}`;
+    }
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.error = error.message;
+  }
+
+  if (delivery.status === 'pending') {
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+      scheduleAttempt(delivery._id, retryDelay(delivery.attempts));
+    }
+  } else {
+    delivery.nextAttemptAt = undefined;
+  }
+
+  await delivery.save();
+};
+
+function scheduleAttempt(deliveryId, delay) {
+  const timer = setTimeout(() => {
+    attemptDelivery(deliveryId).catch(error => console.error('Error delivering webhook:', error));
+  }, delay);
+  // Pending retries must not keep the process alive on shutdown
+  if (timer.unref) timer.unref();
+}
+
+const dispatch = async (payload) => {
+  if (!payload.project) return;
+
+  const webhooks = await Webhook.find({
+    project: payload.project,
+    active: true,
+    $or: [{ events: { $size: 0 } }, { events: payload.event }]
+  });
+
+  for (const webhook of webhooks) {
+    const deliveryId = new mongoose.Types.ObjectId();
+
+    await WebhookDelivery.create({
+      _id: deliveryId,
+      webhook: webhook._id,
+      project: webhook.project,
+      event: payload.event,
+      payload: JSON.parse(JSON.stringify({ deliveryId, ...payload }))
+    });
+
+    scheduleAttempt(deliveryId, 0);
+  }
+};
+
+// Picks up retries that were waiting when the process stopped
+const resumePendingDeliveries = async () => {
+  const pending = await WebhookDelivery.find({ status: 'pending' }).select('nextAttemptAt');
+
+  pending.forEach(delivery => {
+    const delay = delivery.nextAttemptAt ? Math.max(0, delivery.nextAttemptAt.getTime() - Date.now()) : 0;
+    scheduleAttempt(delivery._id, delay);
+  });
+};
+
+let unsubscribe = null;
+
+const init = () => {
+  if (unsubscribe) return;
+
+  unsubscribe = subscribe('*', (payload) => {
+    dispatch(payload).catch(error => console.error('Error dispatching webhooks:', error));
+  });
+
+  resumePendingDeliveries().catch(error => console.error('Error resuming webhook deliveries:', error));
+};
+
+module.exports = {
+  generateSecret,
+  sign,
+  checkWebhookUrl,
+  init,
+  dispatch,
+  attemptDelivery
+};
\ No newline at end of file
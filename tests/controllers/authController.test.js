@@ -0,0 +1,54 @@
+const {
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../../controllers/authController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const call = async (handler, body) => {
+  const res = mockResponse();
+  await handler({ body }, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('token and email guards', () => {
+  test.each([undefined, '', 42, {}, ['token']])('verifyEmail rejects token %p', async (token) => {
+    expect(await call(verifyEmail, { token })).toEqual({
+      status: 400,
+      body: { success: false, message: 'Verification token is required' }
+    });
+  });
+
+  test.each([
+    ['resendVerification', resendVerification],
+    ['forgotPassword', forgotPassword]
+  ])('%s rejects emails that are not strings', async (_, handler) => {
+    for (const email of [undefined, 42, { $ne: null }]) {
+      expect(await call(handler, { email })).toEqual({
+        status: 400,
+        body: { success: false, message: 'Email is required' }
+      });
+    }
+  });
+
+  test('resetPassword rejects tokens that are not strings', async () => {
+    expect(await call(resetPassword, { token: { $gt: '' }, password: 'secret123' })).toEqual({
+      status: 400,
+      body: { success: false, message: 'Reset token is required' }
+    });
+  });
+
+  test.each([undefined, 'short', 1234567, ['a', 'b', 'c', 'd', 'e', 'f']])('resetPassword rejects password %p', async (password) => {
+    expect(await call(resetPassword, { token: 'abc', password })).toEqual({
+      status: 400,
+      body: { success: false, message: 'Password must be at least 6 characters long' }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const Project = require('../../models/Project');
+const Comment = require('../../models/Comment');
+const { createComment, updateComment } = require('../../controllers/commentController');
+
+const userId = new mongoose.Types.ObjectId();
+const taskId = new mongoose.Types.ObjectId();
+const commentId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  const project = new Project({ name: 'Website', owner: userId });
+
+  jest.spyOn(Task, 'findById').mockResolvedValue({ _id: taskId, project: project._id });
+  jest.spyOn(Project, 'findById').mockResolvedValue(project);
+  jest.spyOn(Comment, 'findOne').mockResolvedValue({ _id: commentId, author: userId, text: 'Old text' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each([
+  ['createComment', createComment],
+  ['updateComment', updateComment]
+])('%s', (_, handler) => {
+  test.each([undefined, '   ', 42, { text: 'nested' }, ['text']])('rejects text %p', async (text) => {
+    const res = mockResponse();
+    await handler({
+      params: { id: taskId.toString(), commentId: commentId.toString() },
+      body: { text },
+      user: { _id: userId }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Comment text is required' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const Project = require('../../models/Project');
+const { addDependency, removeDependency, getDependencyGraph } = require('../../controllers/dependencyController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.spyOn(Task, 'findById');
+  jest.spyOn(Project, 'findById');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('malformed ids', () => {
+  test.each([
+    ['addDependency', addDependency, 'Task not found'],
+    ['removeDependency', removeDependency, 'Task not found'],
+    ['getDependencyGraph', getDependencyGraph, 'Project not found']
+  ])('%s answers 404 without querying', async (_, handler, message) => {
+    const res = mockResponse();
+    await handler({
+      params: { id: 'not-an-id', blockerId: 'also-not-an-id' },
+      body: { blockerId: new mongoose.Types.ObjectId().toString() },
+      user: { _id: new mongoose.Types.ObjectId() }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message });
+    expect(Task.findById).not.toHaveBeenCalled();
+    expect(Project.findById).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Project = require('../../models/Project');
+const { importTasks, importProject } = require('../../controllers/importExportController');
+
+const userId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+let project;
+
+beforeEach(() => {
+  project = new Project({ name: 'Website', owner: userId });
+  jest.spyOn(Project, 'findById').mockResolvedValue(project);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('importTasks', () => {
+  test('reports rows that are not objects instead of failing', async () => {
+    const res = mockResponse();
+    await importTasks({
+      params: { id: project._id.toString() },
+      query: {},
+      body: { tasks: [null, 5] },
+      user: { _id: userId }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Import contains invalid rows',
+      errors: [
+        { row: 1, errors: ['each task must be an object'] },
+        { row: 2, errors: ['each task must be an object'] }
+      ]
+    });
+  });
+});
+
+describe('importProject', () => {
+  test('answers 400 for an uploaded file holding null', async () => {
+    const res = mockResponse();
+    await importProject({
+      query: {},
+      body: {},
+      file: { buffer: Buffer.from('null'), mimetype: 'application/json', originalname: 'export.json' },
+      user: { _id: userId }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Import data must be a project export' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../services/activity', () => ({
+  ...jest.requireActual('../../services/activity'),
+  recordActivity: jest.fn()
+}));
+jest.mock('../../services/events', () => ({
+  ...jest.requireActual('../../services/events'),
+  publish: jest.fn()
+}));
+
+const Project = require('../../models/Project');
+const User = require('../../models/User');
+const { recordActivity } = require('../../services/activity');
+const { publish } = require('../../services/events');
+const { addProjectMember, removeProjectMember } = require('../../controllers/projectController');
+
+const ownerId = new mongoose.Types.ObjectId();
+const maintainerId = new mongoose.Types.ObjectId();
+const contributorId = new mongoose.Types.ObjectId();
+const newUserId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const statusOf = (res) => (res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200);
+
+let project;
+
+beforeEach(() => {
+  project = new Project({
+    name: 'Website',
+    owner: ownerId,
+    members: [
+      { user: maintainerId, role: 'maintainer' },
+      { user: contributorId, role: 'contributor' }
+    ]
+  });
+
+  jest.spyOn(Project, 'findById').mockResolvedValue(project);
+  jest.spyOn(User, 'findOne').mockImplementation(({ _id }) => ({
+    select: jest.fn().mockResolvedValue({ _id })
+  }));
+  jest.spyOn(Project.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Project.prototype, 'populate').mockImplementation(function populate() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  recordActivity.mockClear();
+  publish.mockClear();
+});
+
+describe('addProjectMember', () => {
+  test('adds a new member with the requested role', async () => {
+    const res = mockResponse();
+    await addProjectMember({
+      params: { id: project._id.toString() },
+      body: { userId: newUserId.toString(), role: 'viewer' },
+      user: { _id: ownerId }
+    }, res);
+
+    expect(statusOf(res)).toBe(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: project });
+    expect(project.members.map(member => [member.user.toString(), member.role]))
+      .toContainEqual([newUserId.toString(), 'viewer']);
+    expect(recordActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'member_added' }));
+    expect(publish).toHaveBeenCalledWith('member.added', expect.anything());
+  });
+
+  test('rejects users who are already members', async () => {
+    const res = mockResponse();
+    await addProjectMember({
+      params: { id: project._id.toString() },
+      body: { userId: contributorId.toString() },
+      user: { _id: ownerId }
+    }, res);
+
+    expect(statusOf(res)).toBe(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'User is already a member of this project' });
+  });
+
+  test('only lets the owner add maintainers', async () => {
+    const res = mockResponse();
+    await addProjectMember({
+      params: { id: project._id.toString() },
+      body: { userId: newUserId.toString(), role: 'maintainer' },
+      user: { _id: maintainerId }
+    }, res);
+
+    expect(statusOf(res)).toBe(403);
+  });
+});
+
+describe('removeProjectMember', () => {
+  test('removes a member', async () => {
+    const res = mockResponse();
+    await removeProjectMember({
+      params: { id: project._id.toString(), userId: contributorId.toString() },
+      user: { _id: maintainerId }
+    }, res);
+
+    expect(statusOf(res)).toBe(200);
+    expect(project.members.map(member => member.user.toString())).not.toContain(contributorId.toString());
+    expect(publish).toHaveBeenCalledWith('member.removed', expect.objectContaining({
+      data: { user: contributorId.toString(), role: 'contributor' }
+    }));
+  });
+
+  test.each([
+    ['the owner', ownerId],
+    ['someone outside the project', newUserId]
+  ])('does not remove %s', async (_, userId) => {
+    const res = mockResponse();
+    await removeProjectMember({
+      params: { id: project._id.toString(), userId: userId.toString() },
+      user: { _id: ownerId }
+    }, res);
+
+    expect(statusOf(res)).toBe(404);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Member not found in this project' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const Project = require('../../models/Project');
+const { addChecklistItem, updateChecklistItem } = require('../../controllers/taskController');
+
+const userId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+let task;
+
+beforeEach(() => {
+  const project = new Project({ name: 'Website', owner: userId });
+  task = new Task({ title: 'Launch', project: project._id, createdBy: userId, checklist: [{ text: 'Write copy' }] });
+
+  jest.spyOn(Task, 'findById').mockResolvedValue(task);
+  jest.spyOn(Project, 'findById').mockResolvedValue(project);
+  jest.spyOn(Task.prototype, 'save').mockResolvedValue(task);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const request = (body) => ({
+  params: { id: task._id.toString(), itemId: task.checklist[0]._id.toString() },
+  body,
+  user: { _id: userId }
+});
+
+describe('addChecklistItem', () => {
+  test.each([undefined, '  ', 7, { text: 'nested' }])('rejects text %p', async (text) => {
+    const res = mockResponse();
+    await addChecklistItem(request({ text }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Checklist item text is required' });
+    expect(task.checklist).toHaveLength(1);
+  });
+});
+
+describe('updateChecklistItem', () => {
+  test.each([7, { text: 'nested' }, ['text']])('rejects text %p', async (text) => {
+    const res = mockResponse();
+    await updateChecklistItem(request({ text }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Checklist item text must be a string' });
+    expect(task.checklist[0].text).toBe('Write copy');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { DEFAULT_WORKFLOW } = require('../../utils/workflow');
+const { collectIdentifiers, validateTaskRows, validateProjectImport } = require('../../services/projectImport');
+
+const owner = { _id: new mongoose.Types.ObjectId(), username: 'ana', email: 'ana@example.com' };
+const outsider = { _id: new mongoose.Types.ObjectId(), username: 'luis', email: 'luis@example.com' };
+
+const users = new Map([
+  ['ana', owner],
+  ['ana@example.com', owner],
+  ['luis', outsider],
+  ['luis@example.com', outsider]
+]);
+
+const validate = (rows) => validateTaskRows(rows, {
+  workflow: DEFAULT_WORKFLOW,
+  users,
+  allowedAssignees: new Set([owner._id.toString()])
+});
+
+describe('collectIdentifiers', () => {
+  test('collects users from members, tasks and comments', () => {
+    expect(collectIdentifiers(
+      [{ assignee: 'ana', createdBy: { email: 'luis@example.com' }, comments: [{ author: 'eva' }] }],
+      [{ user: { username: 'marta' } }, 'jon']
+    )).toEqual(['marta', 'jon', 'ana', 'luis@example.com', 'eva']);
+  });
+
+  test('skips entries that are not objects', () => {
+    expect(collectIdentifiers(
+      [null, 'task', { createdBy: { email: {} }, comments: [null, 3, { author: 'eva' }] }],
+      [null, { user: null }, 'jon']
+    )).toEqual(['jon', 'eva']);
+    expect(collectIdentifiers('tasks', 'members')).toEqual([]);
+  });
+});
+
+describe('validateTaskRows', () => {
+  test('accepts valid rows', () => {
+    const { entries, errors } = validate([
+      { id: '1', title: 'Parent', assignee: 'ana', checklist: ['Draft', { text: 'Review', done: true }] },
+      { title: 'Child', parent: '1', comments: [{ id: 'c1', author: 'ana', text: 'Hi' }, { author: 'luis', text: 'Reply', parent: 'c1' }] }
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(entries[0].doc.assignedTo).toEqual(owner._id);
+    expect(entries[0].doc.checklist).toEqual([{ text: 'Draft' }, { text: 'Review', done: true }]);
+    expect(entries[1].doc.parent).toEqual(entries[0].doc._id);
+    expect(entries[1].comments[1]).toMatchObject({
+      author: null,
+      text: '[Originally posted by luis]\nReply',
+      parent: entries[1].comments[0]._id
+    });
+  });
+
+  test('reports rows that are not objects', () => {
+    expect(validate([null, 'task', ['title'], { title: 'Fine' }]).errors).toEqual([
+      { row: 1, errors: ['each task must be an object'] },
+      { row: 2, errors: ['each task must be an object'] },
+      { row: 3, errors: ['each task must be an object'] }
+    ]);
+  });
+
+  test('reports checklist items and comments that are not objects or text', () => {
+    const { errors } = validate([{
+      title: 'Task',
+      description: { html: '<p>' },
+      checklist: ['Ok', null, { text: 5 }],
+      comments: [null, { text: { body: 'x' } }, { text: 'Ok', parent: 'missing' }]
+    }]);
+
+    expect(errors).toEqual([{
+      row: 1,
+      errors: [
+        'description must be text',
+        'checklist items need a text',
+        'comment 1: must be an object',
+        'comment 2: text is required',
+        'comment 3: unknown parent comment "missing"'
+      ]
+    }]);
+  });
+});
+
+describe('validateProjectImport', () => {
+  test('reports members and workflow entries that are not objects', () => {
+    const { memberErrors, projectErrors, members } = validateProjectImport({
+      project: {
+        name: 'Imported',
+        workflow: { statuses: [null, { key: 'done', name: 'Done', category: 'done' }], transitions: [null] }
+      },
+      members: [null, 7, { user: null }, { user: 'luis', role: 'viewer' }]
+    }, { owner, users });
+
+    expect(memberErrors).toEqual([
+      { row: 1, errors: ['member must reference a user by email or username'] },
+      { row: 2, errors: ['unknown user "7"'] },
+      { row: 3, errors: ['member must reference a user by email or username'] }
+    ]);
+    expect(members).toEqual([{ user: outsider._id, role: 'viewer' }]);
+    expect(projectErrors).toEqual([
+      'workflow: Status #1 needs a key made of lowercase letters, digits or underscores',
+      'workflow: Invalid transition: {}'
+    ]);
+  });
+
+  test('needs a project name', () => {
+    expect(validateProjectImport({ project: { name: { en: 'x' } } }, { owner, users }).projectErrors)
+      .toEqual(['project.name is required']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { toCsv, parseCsv } = require('../../utils/csv');
+
+const columns = [
+  { key: 'title', header: 'Title' },
+  { key: 'description', header: 'Description' },
+  { key: 'dueDate', header: 'Due date' }
+];
+
+describe('toCsv', () => {
+  test('writes a header row and CRLF line endings', () => {
+    expect(toCsv([{ title: 'Plain', description: null }], columns))
+      .toBe('Title,Description,Due date\r\nPlain,,\r\n');
+  });
+
+  test('quotes cells with commas, quotes and line breaks', () => {
+    const csv = toCsv([{ title: 'a, b', description: 'say "hi"\nbye' }], columns);
+
+    expect(csv.split('\r\n')[1]).toBe('"a, b","say ""hi""\nbye",');
+  });
+
+  test('writes dates as ISO strings', () => {
+    const csv = toCsv([{ title: 'x', dueDate: new Date('2026-10-18T09:30:00Z') }], columns);
+
+    expect(csv.split('\r\n')[1]).toBe('x,,2026-10-18T09:30:00.000Z');
+  });
+
+  test('neutralizes cells that spreadsheets would run as formulas', () => {
+    const csv = toCsv([{ title: '=SUM(A1)', description: '-1,2' }], columns);
+
+    expect(csv.split('\r\n')[1]).toBe('\'=SUM(A1),"\'-1,2",');
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads rows keyed by the trimmed headers', () => {
+    expect(parseCsv('\uFEFFTitle ,Priority\nFirst,high\r\nSecond\n')).toEqual({
+      headers: ['Title', 'Priority'],
+      rows: [
+        { Title: 'First', Priority: 'high' },
+        { Title: 'Second', Priority: '' }
+      ]
+    });
+  });
+
+  test('handles quoted commas, escaped quotes and line breaks', () => {
+    const { rows } = parseCsv('Title,Description\n"a, b","say ""hi""\r\nbye"');
+
+    expect(rows).toEqual([{ Title: 'a, b', Description: 'say "hi"\r\nbye' }]);
+  });
+
+  test('skips blank lines', () => {
+    expect(parseCsv('Title\n\nFirst\n,\n').rows).toEqual([{ Title: 'First' }]);
+    expect(parseCsv('\n\n')).toEqual({ headers: [], rows: [] });
+  });
+
+  test('throws on an unterminated quoted field', () => {
+    expect(() => parseCsv('Title\n"open')).toThrow('Malformed CSV: unterminated quoted field');
+  });
+
+  test('reads back what toCsv writes', () => {
+    const rows = [
+      { title: 'Commas, "quotes"', description: 'line one\r\nline two', dueDate: '' },
+      { title: 'Plain', description: '', dueDate: '2026-10-18' }
+    ];
+    const parsed = parseCsv(toCsv(rows, columns.map(({ key }) => ({ key }))));
+
+    expect(parsed.headers).toEqual(['title', 'description', 'dueDate']);
+    expect(parsed.rows).toEqual(rows);
+  });
+});
\ No newline at end of file
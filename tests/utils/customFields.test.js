@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { parseFieldValues, parseCustomFieldFilters } = require('../../utils/customFields');
+
+const owner = new mongoose.Types.ObjectId();
+const member = new mongoose.Types.ObjectId();
+const outsider = new mongoose.Types.ObjectId();
+
+const customFields = [
+  { key: 'notes', name: 'Notes', type: 'text', options: [] },
+  { key: 'estimate', name: 'Estimate', type: 'number', options: [], required: true },
+  { key: 'deadline', name: 'Deadline', type: 'date', options: [] },
+  { key: 'team', name: 'Team', type: 'select', options: ['backend', 'frontend'] },
+  { key: 'tags', name: 'Tags', type: 'multiselect', options: ['bug', 'ui', 'api'] },
+  { key: 'reviewer', name: 'Reviewer', type: 'user', options: [] }
+];
+
+const project = { owner, members: [{ user: member }], customFields };
+
+describe('parseFieldValues', () => {
+  test('casts values to the field types', () => {
+    const { values, errors } = parseFieldValues(project, {
+      notes: '  check logs  ',
+      estimate: '3.5',
+      deadline: '2026-10-18',
+      team: 'backend',
+      tags: 'bug, ui,bug',
+      reviewer: member.toString()
+    });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      notes: 'check logs',
+      estimate: 3.5,
+      deadline: new Date('2026-10-18'),
+      team: 'backend',
+      tags: ['bug', 'ui'],
+      reviewer: member
+    });
+  });
+
+  test('requires required fields on create only', () => {
+    expect(parseFieldValues(project, {}).errors).toEqual(['Estimate is required']);
+    expect(parseFieldValues(project, { notes: 'x' }, { estimate: 1 }).errors).toEqual([]);
+  });
+
+  test('clears values with null or empty input, but not required ones', () => {
+    const { values, errors } = parseFieldValues(project, { notes: null, tags: [], estimate: '' }, {
+      notes: 'old',
+      tags: ['bug'],
+      estimate: 2
+    });
+
+    expect(errors).toEqual(['Estimate is required']);
+    expect(values).toEqual({});
+  });
+
+  test('reports invalid values', () => {
+    const { errors } = parseFieldValues(project, {
+      estimate: 'three',
+      deadline: 'soon',
+      team: 'design',
+      tags: ['bug', 'docs'],
+      reviewer: outsider.toString(),
+      colour: 'red'
+    });
+
+    expect(errors).toEqual([
+      'Estimate must be a number',
+      'Deadline must be a valid date',
+      'Team must be one of: backend, frontend',
+      'Tags has unknown options: docs',
+      'Reviewer must be a member of the project',
+      'Unknown custom field: colour'
+    ]);
+  });
+
+  test('rejects objects and lists where a single value is expected', () => {
+    const { errors } = parseFieldValues(project, {
+      notes: { $gt: '' },
+      estimate: [1, 2],
+      tags: [{ name: 'bug' }]
+    });
+
+    expect(errors).toEqual([
+      'Notes must be a string or a number',
+      'Estimate must be a string or a number',
+      'Tags must be a list of options'
+    ]);
+  });
+
+  test('rejects input that is not an object', () => {
+    expect(parseFieldValues(project, ['estimate']).errors).toEqual(['customFields must be an object keyed by field key']);
+  });
+
+  test('drops values of removed fields and options on the next write', () => {
+    const { values, errors } = parseFieldValues(project, { notes: 'kept' }, {
+      estimate: 1,
+      removed: 'value',
+      team: 'design',
+      tags: ['bug', 'docs']
+    });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ estimate: 1, notes: 'kept', tags: ['bug'] });
+  });
+});
+
+describe('parseCustomFieldFilters', () => {
+  const parse = (query) => {
+    const errors = [];
+    const filter = parseCustomFieldFilters(customFields, query, errors);
+    return { filter, errors };
+  };
+
+  test('builds filters for each field type', () => {
+    const { filter, errors } = parse({
+      notes: 'a.b',
+      estimate: '3',
+      deadline: { gte: '2026-10-01', lt: '2026-11-01' },
+      tags: 'bug,ui',
+      reviewer: member.toString()
+    });
+
+    expect(errors).toEqual([]);
+    expect(filter['customFields.notes']).toEqual(/a\.b/i);
+    expect(filter['customFields.estimate']).toBe(3);
+    expect(filter['customFields.deadline']).toEqual({ $gte: new Date('2026-10-01'), $lt: new Date('2026-11-01') });
+    expect(filter['customFields.tags']).toEqual({ $in: ['bug', 'ui'] });
+    expect(filter['customFields.reviewer']).toEqual({ $in: [member] });
+  });
+
+  test('rejects filters that are not keyed by field', () => {
+    expect(parse('estimate').errors).toEqual(['Custom field filters must look like cf[key]=value']);
+  });
+
+  test('reports invalid filters', () => {
+    const { errors } = parse({
+      colour: 'red',
+      notes: { gt: 'a' },
+      estimate: { ne: '3', lt: 'x' },
+      deadline: 'soon',
+      reviewer: 'abc'
+    });
+
+    expect(errors).toEqual([
+      'Unknown custom field: colour',
+      'Range filters only apply to number and date fields (cf[notes])',
+      'Unknown operator ne for cf[estimate]. Allowed: gt, gte, lt, lte',
+      'Invalid number for cf[estimate]',
+      'Invalid date for cf[deadline]',
+      'Invalid user id for cf[reviewer]'
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+const {
+  escapeText,
+  formatDateTime,
+  formatDate,
+  isAllDay,
+  component,
+  buildCalendar
+} = require('../../utils/ical');
+
+describe('escapeText', () => {
+  test('escapes backslashes, semicolons, commas and line breaks', () => {
+    expect(escapeText('a\\b; c, d\r\ne\nf')).toBe('a\\\\b\\; c\\, d\\ne\\nf');
+  });
+});
+
+describe('dates', () => {
+  test('formats date-times in UTC and dates without a time', () => {
+    expect(formatDateTime('2026-10-18T09:30:15.250Z')).toBe('20261018T093015Z');
+    expect(formatDate('2026-10-18T09:30:15Z')).toBe('20261018');
+  });
+
+  test('treats midnight UTC as all-day', () => {
+    expect(isAllDay('2026-10-18T00:00:00Z')).toBe(true);
+    expect(isAllDay('2026-10-18T00:00:01Z')).toBe(false);
+  });
+});
+
+describe('component', () => {
+  test('skips empty properties', () => {
+    expect(component('VEVENT', [['UID', 'task-1'], ['DESCRIPTION', ''], ['LOCATION', null]]))
+      .toEqual(['BEGIN:VEVENT', 'UID:task-1', 'END:VEVENT']);
+  });
+});
+
+describe('buildCalendar', () => {
+  const lines = (calendar) => calendar.split('\r\n');
+
+  test('wraps components in a calendar with CRLF line endings', () => {
+    const calendar = buildCalendar({
+      name: 'Sprint, week 1',
+      components: [component('VEVENT', [['UID', 'task-1']])]
+    });
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines(calendar)).toEqual(expect.arrayContaining([
+      'X-WR-CALNAME:Sprint\\, week 1',
+      'BEGIN:VEVENT',
+      'UID:task-1',
+      'END:VEVENT'
+    ]));
+    expect(calendar).not.toMatch(/X-WR-CALDESC/);
+  });
+
+  test('folds lines longer than 75 octets', () => {
+    const summary = `SUMMARY:${'x'.repeat(160)}`;
+    const calendar = buildCalendar({ components: [[summary]] });
+    const folded = lines(calendar).filter(line => line.startsWith('SUMMARY:') || line.startsWith(' '));
+
+    expect(folded.map(line => line.length)).toEqual([75, 75, 20]);
+    expect(folded.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(folded.map((line, index) => (index ? line.slice(1) : line)).join('')).toBe(summary);
+  });
+
+  test('does not split multi-byte characters when folding', () => {
+    const summary = `SUMMARY:${'ñ'.repeat(60)}`;
+    const calendar = buildCalendar({ components: [[summary]] });
+    const folded = lines(calendar).filter(line => line.startsWith('SUMMARY:') || line.startsWith(' '));
+
+    folded.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(folded.map((line, index) => (index ? line.slice(1) : line)).join('')).toBe(summary);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,29 @@
+const { extractMentions } = require('../../utils/mentions');
+
+describe('extractMentions', () => {
+  test('returns nothing for empty text', () => {
+    expect(extractMentions('')).toEqual([]);
+    expect(extractMentions(null)).toEqual([]);
+  });
+
+  test('finds mentions at the start of the text and after punctuation', () => {
+    expect(extractMentions('@ana please check with (@luis_m) and @eva.')).toEqual(['ana', 'luis_m', 'eva']);
+  });
+
+  test('keeps dots and dashes inside usernames but not at the end', () => {
+    expect(extractMentions('ping @jose.perez-- and @m.garcia...')).toEqual(['jose.perez', 'm.garcia']);
+  });
+
+  test('ignores email addresses and double @', () => {
+    expect(extractMentions('mail ana@example.com or @@luis')).toEqual([]);
+  });
+
+  test('returns each username once', () => {
+    expect(extractMentions('@ana, @ana and @ana')).toEqual(['ana']);
+  });
+
+  test('gives the same result when called repeatedly', () => {
+    expect(extractMentions('@ana')).toEqual(['ana']);
+    expect(extractMentions('@ana')).toEqual(['ana']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+const { parseRecurrence, toRRule, nextOccurrence } = require('../../utils/recurrence');
+
+const parse = (input) => {
+  const errors = [];
+  const rule = parseRecurrence(input, errors);
+  return { rule, errors };
+};
+
+const ruleFrom = (input) => {
+  const { rule, errors } = parse(input);
+  expect(errors).toEqual([]);
+  return rule;
+};
+
+// Follows the series from `from` and returns the next `count` due dates as ISO strings
+const series = (rule, from, count) => {
+  const dates = [];
+  let current = { dueDate: new Date(from), occurrence: 1 };
+  while (dates.length < count) {
+    current = nextOccurrence(rule, current.dueDate, current.occurrence);
+    if (!current) break;
+    dates.push(current.dueDate.toISOString());
+  }
+  return dates;
+};
+
+describe('parseRecurrence', () => {
+  test('returns null without a rule', () => {
+    expect(parse(null)).toEqual({ rule: null, errors: [] });
+    expect(parse('')).toEqual({ rule: null, errors: [] });
+  });
+
+  test('reads RRULE strings', () => {
+    expect(ruleFrom('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE,MO;COUNT=5')).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      weekdays: ['MO', 'WE'],
+      monthDay: null,
+      until: null,
+      count: 5
+    });
+  });
+
+  test('reads objects with weekday names and compact UNTIL dates', () => {
+    const rule = ruleFrom({ frequency: 'Weekly', weekdays: 'friday,mon', until: '20261231T235959Z' });
+
+    expect(rule.weekdays).toEqual(['MO', 'FR']);
+    expect(rule.until.toISOString()).toBe('2026-12-31T23:59:59.000Z');
+  });
+
+  test.each([
+    ['FREQ=HOURLY', 'recurrence frequency must be one of: daily, weekly, monthly, yearly'],
+    ['FREQ=DAILY;INTERVAL=0', 'recurrence interval must be an integer between 1 and 365'],
+    ['FREQ=DAILY;BYDAY=MO', 'recurrence weekdays only apply to weekly rules'],
+    ['FREQ=WEEKLY;BYDAY=XX', 'recurrence weekdays must be days like MO, TU or monday'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', 'recurrence monthDay must be an integer between 1 and 31'],
+    ['FREQ=WEEKLY;BYMONTHDAY=1', 'recurrence monthDay only applies to monthly rules'],
+    ['FREQ=DAILY;UNTIL=someday', 'Invalid recurrence until date: someday'],
+    ['FREQ=DAILY;COUNT=-1', 'recurrence count must be a positive integer'],
+    ['FREQ=DAILY;COUNT=2;UNTIL=20261231', 'recurrence cannot have both until and count'],
+    ['FREQ=DAILY;BYHOUR=9', 'Unsupported recurrence rule parts: BYHOUR']
+  ])('rejects %s', (input, message) => {
+    expect(parse(input).errors).toEqual([message]);
+  });
+
+  test('rejects values that are neither strings nor objects', () => {
+    expect(parse(5).errors).toEqual(['recurrence must be an RRULE string or an object']);
+  });
+});
+
+describe('toRRule', () => {
+  test('writes back what parseRecurrence reads', () => {
+    const text = 'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=31;UNTIL=20271231T000000Z';
+    expect(toRRule(ruleFrom(text))).toBe(text);
+    expect(toRRule(null)).toBeNull();
+  });
+});
+
+describe('nextOccurrence', () => {
+  test('clamps monthly rules to the last day of shorter months', () => {
+    const rule = ruleFrom('FREQ=MONTHLY;BYMONTHDAY=31');
+
+    expect(series(rule, '2026-01-31T09:00:00Z', 4)).toEqual([
+      '2026-02-28T09:00:00.000Z',
+      '2026-03-31T09:00:00.000Z',
+      '2026-04-30T09:00:00.000Z',
+      '2026-05-31T09:00:00.000Z'
+    ]);
+  });
+
+  test('clamps monthly rules to leap days', () => {
+    expect(series(ruleFrom('FREQ=MONTHLY'), '2028-01-30T00:00:00Z', 1)).toEqual(['2028-02-29T00:00:00.000Z']);
+  });
+
+  test('moves yearly rules from 29 February to 28 February', () => {
+    expect(series(ruleFrom('FREQ=YEARLY'), '2024-02-29T10:00:00Z', 1)).toEqual(['2025-02-28T10:00:00.000Z']);
+  });
+
+  test('skips weeks between occurrences of weekly rules with weekdays', () => {
+    const rule = ruleFrom('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE');
+
+    // Wednesday 14 October 2026
+    expect(series(rule, '2026-10-14T08:00:00Z', 4)).toEqual([
+      '2026-10-26T08:00:00.000Z',
+      '2026-10-28T08:00:00.000Z',
+      '2026-11-09T08:00:00.000Z',
+      '2026-11-11T08:00:00.000Z'
+    ]);
+  });
+
+  test('starts weeks on Monday for weekly intervals', () => {
+    const rule = ruleFrom('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO');
+
+    // Sunday 18 October 2026 belongs to the week of Monday 12 October
+    expect(series(rule, '2026-10-18T08:00:00Z', 1)).toEqual(['2026-10-26T08:00:00.000Z']);
+  });
+
+  test('adds whole weeks to weekly rules without weekdays', () => {
+    expect(series(ruleFrom('FREQ=WEEKLY;INTERVAL=3'), '2026-10-18T08:00:00Z', 1)).toEqual(['2026-11-08T08:00:00.000Z']);
+  });
+
+  test('ends the series after COUNT occurrences', () => {
+    const rule = ruleFrom('FREQ=DAILY;COUNT=3');
+
+    expect(nextOccurrence(rule, '2026-10-18T09:00:00Z', 1)).toEqual({
+      dueDate: new Date('2026-10-19T09:00:00Z'),
+      occurrence: 2
+    });
+    expect(nextOccurrence(rule, '2026-10-19T09:00:00Z', 2).occurrence).toBe(3);
+    expect(nextOccurrence(rule, '2026-10-20T09:00:00Z', 3)).toBeNull();
+  });
+
+  test('ends the series after UNTIL', () => {
+    const rule = ruleFrom('FREQ=DAILY;UNTIL=20261020T090000Z');
+
+    expect(series(rule, '2026-10-18T09:00:00Z', 5)).toEqual([
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-20T09:00:00.000Z'
+    ]);
+  });
+
+  test('skips occurrences before notBefore but keeps counting them', () => {
+    const rule = ruleFrom('FREQ=DAILY');
+
+    expect(nextOccurrence(rule, '2026-10-01T09:00:00Z', 1, new Date('2026-10-18T12:00:00Z'))).toEqual({
+      dueDate: new Date('2026-10-19T09:00:00Z'),
+      occurrence: 19
+    });
+  });
+
+  test('ends the series when COUNT runs out while skipping past occurrences', () => {
+    const rule = ruleFrom('FREQ=DAILY;COUNT=5');
+
+    expect(nextOccurrence(rule, '2026-10-01T09:00:00Z', 1, new Date('2026-10-18T12:00:00Z'))).toBeNull();
+  });
+});
\ No newline at end of file
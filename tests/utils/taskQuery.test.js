@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { parseTaskQuery, buildPagination } = require('../../utils/taskQuery');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const customFields = [
+  { key: 'estimate', name: 'Estimate', type: 'number', options: [] },
+  { key: 'team', name: 'Team', type: 'select', options: ['backend', 'frontend'] }
+];
+
+describe('parseTaskQuery', () => {
+  test('defaults to newest first, page 1 and 20 per page', () => {
+    const { filter, sort, pagination, errors } = parseTaskQuery({}, user);
+
+    expect(errors).toEqual([]);
+    expect(filter).toEqual({});
+    expect(sort).toEqual({ createdAt: -1, _id: -1 });
+    expect(pagination).toEqual({ page: 1, limit: 20, skip: 0 });
+  });
+
+  test('builds filters from comma-separated lists, me and none', () => {
+    const { filter, errors } = parseTaskQuery({
+      status: 'pending, in_progress',
+      assignedTo: 'me,none',
+      parent: 'none'
+    }, user);
+
+    expect(errors).toEqual([]);
+    expect(filter.status).toEqual({ $in: ['pending', 'in_progress'] });
+    expect(filter.assignedTo).toEqual({ $in: [user._id, null] });
+    expect(filter.parent).toBeNull();
+  });
+
+  test('escapes regex characters in the search text', () => {
+    const { filter } = parseTaskQuery({ q: 'a.b*' }, user);
+
+    expect(filter.$or[0].title.test('xa.b*y')).toBe(true);
+    expect(filter.$or[0].title.test('aXbb')).toBe(false);
+  });
+
+  test('sorts priority by rank instead of alphabetically', () => {
+    const { sort, errors } = parseTaskQuery({ sort: '-priority,title' }, user);
+
+    expect(errors).toEqual([]);
+    expect(sort).toEqual({ priorityRank: -1, title: 1, _id: -1 });
+  });
+
+  test('sorts by custom fields within a project', () => {
+    const { sort, errors } = parseTaskQuery({ sort: '-cf.estimate' }, user, { customFields });
+
+    expect(errors).toEqual([]);
+    expect(sort).toEqual({ 'customFields.estimate': -1, _id: -1 });
+  });
+
+  describe('errors', () => {
+    const errorsFor = (query, options) => parseTaskQuery(query, user, options).errors;
+
+    test('rejects invalid ids', () => {
+      expect(errorsFor({ project: 'abc' })).toEqual(['Invalid project id: abc']);
+      expect(errorsFor({ parent: 'abc' })).toEqual(['Invalid parent task id: abc']);
+      expect(errorsFor({ assignedTo: 'me,abc' })).toEqual(['Invalid assignee id: abc']);
+      expect(errorsFor({ labels: 'abc' })).toEqual(['Invalid label id: abc']);
+    });
+
+    test('rejects invalid dates', () => {
+      expect(errorsFor({ dueFrom: 'yesterday', dueTo: '2026-13-45' }))
+        .toEqual(['Invalid date for dueFrom', 'Invalid date for dueTo']);
+    });
+
+    test('rejects an unknown labelMatch', () => {
+      const label = new mongoose.Types.ObjectId().toString();
+      expect(errorsFor({ labels: label, labelMatch: 'some' })).toEqual(['labelMatch must be one of: any, all']);
+    });
+
+    test('rejects unknown sort fields', () => {
+      expect(errorsFor({ sort: 'title,-password' })).toEqual([
+        expect.stringMatching(/^Cannot sort by password\. Sortable fields: .*priority/)
+      ]);
+    });
+
+    test('rejects custom field filters and sorting outside a project', () => {
+      expect(errorsFor({ cf: { estimate: '3' }, sort: 'cf.estimate' })).toEqual([
+        'Custom field filters are only available within a project',
+        'Sorting by custom fields is only available within a project'
+      ]);
+    });
+
+    test('rejects unknown custom fields', () => {
+      expect(errorsFor({ cf: { color: 'red' }, sort: 'cf.color' }, { customFields })).toEqual([
+        'Unknown custom field: color',
+        'Unknown custom field: color'
+      ]);
+    });
+
+    test.each([
+      [{ page: '0' }, 'page must be a positive integer'],
+      [{ page: 'two' }, 'page must be a positive integer'],
+      [{ limit: '0' }, 'limit must be an integer between 1 and 100'],
+      [{ limit: '101' }, 'limit must be an integer between 1 and 100']
+    ])('rejects pagination %p', (query, message) => {
+      expect(errorsFor(query)).toEqual([message]);
+    });
+  });
+});
+
+describe('buildPagination', () => {
+  test('rounds the page count up', () => {
+    expect(buildPagination({ page: 2, limit: 20 }, 41)).toEqual({ page: 2, limit: 20, total: 41, pages: 3 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+const {
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  getInitialStatus,
+  getCategory,
+  canTransition,
+  allowedTransitions,
+  checkTransition,
+  validateWorkflow
+} = require('../../utils/workflow');
+
+const reviewWorkflow = {
+  statuses: [
+    { key: 'backlog', name: 'Backlog', category: 'todo' },
+    { key: 'doing', name: 'Doing', category: 'in_progress' },
+    { key: 'review', name: 'Review', category: 'in_progress' },
+    { key: 'done', name: 'Done', category: 'done' }
+  ],
+  transitions: [
+    { from: 'backlog', to: 'doing' },
+    { from: 'doing', to: 'review' },
+    { from: 'review', to: 'doing' },
+    { from: 'review', to: 'done' }
+  ],
+  initialStatus: 'backlog'
+};
+
+describe('getWorkflow', () => {
+  test('falls back to the default workflow', () => {
+    expect(getWorkflow(null)).toBe(DEFAULT_WORKFLOW);
+    expect(getWorkflow({ workflow: { statuses: [] } })).toBe(DEFAULT_WORKFLOW);
+    expect(getWorkflow({ workflow: reviewWorkflow })).toBe(reviewWorkflow);
+  });
+
+  test('resolves the initial status and categories', () => {
+    expect(getInitialStatus(reviewWorkflow).key).toBe('backlog');
+    expect(getInitialStatus({ ...reviewWorkflow, initialStatus: undefined }).key).toBe('backlog');
+    expect(getCategory(reviewWorkflow, 'review')).toBe('in_progress');
+    expect(getCategory(reviewWorkflow, 'missing')).toBeNull();
+  });
+});
+
+describe('transitions', () => {
+  test('any move is allowed when no transitions are listed', () => {
+    expect(canTransition(DEFAULT_WORKFLOW, 'pending', 'completed')).toBe(true);
+    expect(allowedTransitions(DEFAULT_WORKFLOW, 'pending')).toEqual(['in_progress', 'completed']);
+  });
+
+  test('only listed moves are allowed otherwise', () => {
+    expect(canTransition(reviewWorkflow, 'doing', 'review')).toBe(true);
+    expect(canTransition(reviewWorkflow, 'doing', 'done')).toBe(false);
+    expect(canTransition(reviewWorkflow, 'done', 'done')).toBe(true);
+    expect(allowedTransitions(reviewWorkflow, 'review')).toEqual(['doing', 'done']);
+    expect(allowedTransitions(reviewWorkflow, 'done')).toEqual([]);
+  });
+
+  test('checkTransition returns the target status', () => {
+    expect(checkTransition(reviewWorkflow, 'review', 'done')).toEqual({ status: reviewWorkflow.statuses[3] });
+  });
+
+  test('checkTransition rejects unknown statuses', () => {
+    expect(checkTransition(reviewWorkflow, 'backlog', 'archived')).toEqual({
+      error: 'Unknown status: archived. Allowed: backlog, doing, review, done'
+    });
+  });
+
+  test('checkTransition rejects moves the workflow does not allow', () => {
+    expect(checkTransition(reviewWorkflow, 'backlog', 'done')).toEqual({
+      error: 'Transition from backlog to done is not allowed by the project workflow'
+    });
+  });
+});
+
+describe('validateWorkflow', () => {
+  test('accepts a valid workflow', () => {
+    expect(validateWorkflow(reviewWorkflow)).toEqual([]);
+  });
+
+  test('needs at least one status', () => {
+    expect(validateWorkflow({ statuses: [] })).toEqual(['Workflow must define at least one status']);
+  });
+
+  test('reports every problem', () => {
+    const errors = validateWorkflow({
+      statuses: [
+        { key: 'Todo', name: 'Todo', category: 'todo' },
+        { key: 'doing', name: '', category: 'started' },
+        { key: 'doing', name: 'Doing', category: 'in_progress' }
+      ],
+      transitions: [{ from: 'doing', to: 'done' }],
+      initialStatus: 'todo'
+    });
+
+    expect(errors).toEqual([
+      'Status #1 needs a key made of lowercase letters, digits or underscores',
+      'Status doing needs a name',
+      'Status doing has an invalid category. Allowed: todo, in_progress, done',
+      'Duplicated status key: doing',
+      'Workflow needs at least one status in the done category',
+      'Invalid transition: {"from":"doing","to":"done"}',
+      'Unknown initial status: todo'
+    ]);
+  });
+
+  test('rejects transitions that are not a list', () => {
+    expect(validateWorkflow({ ...reviewWorkflow, transitions: 'all' })).toEqual(['Transitions must be an array']);
+  });
+});
\ No newline at end of file
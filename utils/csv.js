@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reader/writer for task import and export.
+
+// Cells starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of { key, header } objects; rows are plain objects
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header || column.key)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column.key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Returns { headers, rows } where rows are objects keyed by header; throws on unbalanced quotes
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+  if (!nonEmpty.length) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  const rows = nonEmpty.slice(1).map(values => headers.reduce((row, header, index) => {
+    row[header] = values[index] !== undefined ? values[index] : '';
+    return row;
+  }, {}));
+
+  return { headers, rows };
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
\ No newline at end of file
@@ -0,0 +1,258 @@
+// Project-scoped typed fields: defined on Project.customFields, values stored by key in Task.customFields.
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect', 'user'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const SELECT_TYPES = ['select', 'multiselect'];
+
+const MAX_FIELDS = 50;
+const MAX_OPTIONS = 100;
+const MAX_TEXT_LENGTH = 1000;
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const getCustomFields = (project) => (project && project.customFields) || [];
+
+const findField = (project, id) => {
+  return getCustomFields(project).find(field => field._id.toString() === String(id)) || null;
+};
+
+const findFieldByKey = (fields, key) => fields.find(field => field.key === key) || null;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Problems with a field definition sent by a client; `current` is the field being edited, if any.
+// Key and type cannot change once tasks may hold values for the field.
+const validateFieldDefinition = (project, { key, name, type, options, required }, current = null) => {
+  const errors = [];
+  const fieldType = current ? current.type : type;
+
+  if (current) {
+    if (key !== undefined && key !== current.key) errors.push('The key of a custom field cannot be changed');
+    if (type !== undefined && type !== current.type) errors.push('The type of a custom field cannot be changed');
+  } else {
+    if (!FIELD_KEY_PATTERN.test(key || '')) {
+      errors.push('Custom field key must start with a letter and contain only lowercase letters, digits or underscores');
+    } else if (findFieldByKey(getCustomFields(project), key)) {
+      errors.push(`A custom field with key ${key} already exists in this project`);
+    }
+    if (!FIELD_TYPES.includes(type)) errors.push(`Custom field type must be one of: ${FIELD_TYPES.join(', ')}`);
+    if (getCustomFields(project).length >= MAX_FIELDS) errors.push(`Projects can have at most ${MAX_FIELDS} custom fields`);
+  }
+
+  if ((!current || name !== undefined) && !(typeof name === 'string' && name.trim())) {
+    errors.push('Custom field name is required');
+  }
+
+  if (SELECT_TYPES.includes(fieldType)) {
+    if (!current || options !== undefined) {
+      const values = Array.isArray(options) ? options.map(option => String(option).trim()) : [];
+      if (!values.length || values.some(option => !option)) {
+        errors.push('Select fields need a list of non-empty options');
+      } else if (new Set(values).size !== values.length) {
+        errors.push('Select field options must be unique');
+      } else if (values.length > MAX_OPTIONS) {
+        errors.push(`Select fields can have at most ${MAX_OPTIONS} options`);
+      }
+    }
+  } else if (options !== undefined && options !== null) {
+    errors.push('Only select and multiselect fields have options');
+  }
+
+  if (required !== undefined && typeof required !== 'boolean') errors.push('required must be a boolean');
+
+  return errors;
+};
+
+// Owner and members: the only valid values of user fields
+const memberIds = (project) => new Set([
+  project.owner.toString(),
+  ...(project.members || []).map(member => member.user.toString())
+]);
+
+const isScalar = (value) => typeof value === 'string' || typeof value === 'number';
+
+// Converts a client value to what is stored, as { value } or { error }.
+// Only multiselect fields take a list; every other type needs a string or a number
+const castValue = (field, value, members) => {
+  if (field.type === 'multiselect'
+    ? !(isScalar(value) || (Array.isArray(value) && value.every(isScalar)))
+    : !isScalar(value)) {
+    return { error: `${field.name} must be ${field.type === 'multiselect' ? 'a list of options' : 'a string or a number'}` };
+  }
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) return { error: `${field.name} must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { value: text };
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isFinite(number)) return { error: `${field.name} must be a number` };
+      return { value: number };
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return { error: `${field.name} must be a valid date` };
+      return { value: date };
+    }
+    case 'select':
+      if (!field.options.includes(String(value))) {
+        return { error: `${field.name} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value: String(value) };
+    case 'multiselect': {
+      const values = [...new Set(toList(value))];
+      const invalid = values.filter(option => !field.options.includes(option));
+      if (invalid.length) return { error: `${field.name} has unknown options: ${invalid.join(', ')}` };
+      return { value: values };
+    }
+    case 'user':
+      if (!mongoose.Types.ObjectId.isValid(String(value)) || !members.has(String(value))) {
+        return { error: `${field.name} must be a member of the project` };
+      }
+      return { value: new mongoose.Types.ObjectId(String(value)) };
+    default:
+      return { error: `${field.name} has an unknown type` };
+  }
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && !value.length);
+
+// Merges `input` ({ key: value }) into the task's `current` values; null or empty clears a field.
+// Required fields need a value on create and cannot be cleared. Returns { values, errors }
+const parseFieldValues = (project, input, current = null) => {
+  const errors = [];
+  const fields = getCustomFields(project);
+  const values = { ...(current || {}) };
+  const members = memberIds(project);
+
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { values, errors: ['customFields must be an object keyed by field key'] };
+  }
+
+  Object.entries(input || {}).forEach(([key, value]) => {
+    const field = findFieldByKey(fields, key);
+
+    if (!field) {
+      errors.push(`Unknown custom field: ${key}`);
+    } else if (isEmpty(value)) {
+      if (field.required) errors.push(`${field.name} is required`);
+      delete values[key];
+    } else {
+      const result = castValue(field, value, members);
+      if (result.error) errors.push(result.error);
+      else values[key] = result.value;
+    }
+  });
+
+  if (!current) {
+    fields
+      .filter(field => field.required && isEmpty(values[field.key]) && !(input && Object.prototype.hasOwnProperty.call(input, field.key)))
+      .forEach(field => errors.push(`${field.name} is required`));
+  }
+
+  // Values of fields removed from the project, or options removed from a select field, are
+  // dropped on the next write
+  Object.keys(values).forEach(key => {
+    const field = findFieldByKey(fields, key);
+
+    if (!field) {
+      delete values[key];
+    } else if (field.type === 'select' && !field.options.includes(values[key])) {
+      delete values[key];
+    } else if (field.type === 'multiselect' && Array.isArray(values[key])) {
+      const remaining = values[key].filter(option => field.options.includes(option));
+      if (remaining.length) values[key] = remaining;
+      else delete values[key];
+    }
+  });
+
+  return { values, errors };
+};
+
+const castFilterValue = (field, value, errors) => {
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (String(value).trim() === '' || !Number.isFinite(number)) errors.push(`Invalid number for cf[${field.key}]`);
+    return number;
+  }
+  if (field.type === 'date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) errors.push(`Invalid date for cf[${field.key}]`);
+    return date;
+  }
+  if (field.type === 'user') {
+    if (!mongoose.Types.ObjectId.isValid(String(value))) {
+      errors.push(`Invalid user id for cf[${field.key}]`);
+      return value;
+    }
+    return new mongoose.Types.ObjectId(String(value));
+  }
+  return String(value);
+};
+
+// cf[key]=value filters: text matches a substring, number/date an exact value or a
+// cf[key][gte|gt|lte|lt] range, select/multiselect/user any of a comma-separated list
+const parseCustomFieldFilters = (fields, query, errors) => {
+  const filter = {};
+
+  if (typeof query !== 'object' || Array.isArray(query)) {
+    errors.push('Custom field filters must look like cf[key]=value');
+    return filter;
+  }
+
+  Object.entries(query).forEach(([key, value]) => {
+    const field = findFieldByKey(fields, key);
+    const path = `customFields.${key}`;
+
+    if (!field) {
+      errors.push(`Unknown custom field: ${key}`);
+      return;
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (!['number', 'date'].includes(field.type)) {
+        errors.push(`Range filters only apply to number and date fields (cf[${key}])`);
+        return;
+      }
+      const range = {};
+      Object.entries(value).forEach(([operator, operand]) => {
+        if (!RANGE_OPERATORS.includes(operator)) {
+          errors.push(`Unknown operator ${operator} for cf[${key}]. Allowed: ${RANGE_OPERATORS.join(', ')}`);
+          return;
+        }
+        range[`$${operator}`] = castFilterValue(field, operand, errors);
+      });
+      filter[path] = range;
+      return;
+    }
+
+    if (field.type === 'text') {
+      filter[path] = new RegExp(escapeRegex(String(value)), 'i');
+    } else if (['number', 'date'].includes(field.type)) {
+      filter[path] = castFilterValue(field, value, errors);
+    } else {
+      filter[path] = { $in: toList(value).map(item => castFilterValue(field, item, errors)) };
+    }
+  });
+
+  return filter;
+};
+
+module.exports = {
+  FIELD_TYPES,
+  SELECT_TYPES,
+  getCustomFields,
+  findField,
+  findFieldByKey,
+  validateFieldDefinition,
+  parseFieldValues,
+  parseCustomFieldFilters
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+// Minimal RFC 5545 writer for the calendar feeds.
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// 20261018T093000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261018
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Dates stored at exactly midnight UTC were entered without a time and are shown as all-day
+const isAllDay = (date) => new Date(date).getTime() % (24 * 60 * 60 * 1000) === 0;
+
+// `properties` is a list of [name, value] pairs; empty values are skipped
+const component = (type, properties) => [
+  `BEGIN:${type}`,
+  ...properties
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}:${value}`),
+  `END:${type}`
+];
+
+const buildCalendar = ({ name, description, refreshInterval = 'PT1H', components }) => {
+  const lines = component('VCALENDAR', [
+    ['VERSION', '2.0'],
+    ['PRODID', '-//Task Management API//Calendar Feed//EN'],
+    ['CALSCALE', 'GREGORIAN'],
+    ['METHOD', 'PUBLISH'],
+    ['X-WR-CALNAME', name && escapeText(name)],
+    ['X-WR-CALDESC', description && escapeText(description)],
+    ['REFRESH-INTERVAL;VALUE=DURATION', refreshInterval],
+    ['X-PUBLISHED-TTL', refreshInterval]
+  ]);
+
+  lines.splice(lines.length - 1, 0, ...components.flat());
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  formatDate,
+  isAllDay,
+  component,
+  buildCalendar
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Project-scoped labels: stored on Project.labels, referenced by id from Task.labels.
+
+const MAX_LABELS = 100;
+const MAX_NAME_LENGTH = 50;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Colors handed out in turn when a label is created without one
+const DEFAULT_COLORS = ['#6b7280', '#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6'];
+
+const getLabels = (project) => (project && project.labels) || [];
+
+const findLabel = (project, id) => {
+  return getLabels(project).find(label => label._id.toString() === String(id)) || null;
+};
+
+const findLabelByName = (project, name) => {
+  const text = String(name).trim().toLowerCase();
+  return getLabels(project).find(label => label.name.toLowerCase() === text) || null;
+};
+
+const nextColor = (project) => DEFAULT_COLORS[getLabels(project).length % DEFAULT_COLORS.length];
+
+// Problems with a label sent by a client; `current` is the label being edited, if any
+const validateLabel = (project, { name, color }, current = null) => {
+  const errors = [];
+
+  if (!current || name !== undefined) {
+    const text = typeof name === 'string' ? name.trim() : '';
+    if (!text) {
+      errors.push('Label name is required');
+    } else if (text.length > MAX_NAME_LENGTH) {
+      errors.push(`Label name must be at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+      const existing = findLabelByName(project, text);
+      if (existing && (!current || !existing._id.equals(current._id))) {
+        errors.push(`A label named ${existing.name} already exists in this project`);
+      }
+    }
+  }
+
+  if (color !== undefined && !COLOR_PATTERN.test(color || '')) {
+    errors.push('Label color must be a hex color like #3b82f6');
+  }
+
+  if (!current && getLabels(project).length >= MAX_LABELS) {
+    errors.push(`Projects can have at most ${MAX_LABELS} labels`);
+  }
+
+  return errors;
+};
+
+// Resolves the label ids sent for a task; `unknown` lists ids that are not labels of the project
+const resolveLabels = (project, ids) => {
+  const values = [...new Set((Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(String))];
+  const labels = values.map(id => findLabel(project, id));
+
+  return {
+    labels: labels.filter(Boolean).map(label => label._id),
+    unknown: values.filter((id, index) => !labels[index])
+  };
+};
+
+module.exports = {
+  MAX_LABELS,
+  DEFAULT_COLORS,
+  getLabels,
+  findLabel,
+  findLabelByName,
+  nextColor,
+  validateLabel,
+  resolveLabels
+};
\ No newline at end of file
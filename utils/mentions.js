@@ -0,0 +1,21 @@
+// `@username` preceded by start of text or a non-word character, so emails are not matched
+const MENTION_PATTERN = /(^|[^\w@.])@([A-Za-z0-9_][A-Za-z0-9_.-]{0,39})/g;
+
+const extractMentions = (text) => {
+  if (!text) return [];
+
+  const usernames = new Set();
+  let match;
+
+  MENTION_PATTERN.lastIndex = 0;
+  while ((match = MENTION_PATTERN.exec(text)) !== null) {
+    // Trailing punctuation belongs to the sentence, not the username
+    usernames.add(match[2].replace(/[.-]+$/, ''));
+  }
+
+  return [...usernames].filter(Boolean);
+};
+
+module.exports = {
+  extractMentions
+};
\ No newline at end of file
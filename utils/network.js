@@ -0,0 +1,74 @@
+// Address checks for requests the server makes on behalf of users (webhooks), so they
+// cannot reach loopback, private or link-local hosts.
+const net = require('net');
+
+// [first address, prefix length] of IPv4 ranges that are not publicly routable
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (address) => address.split('.')
+  .reduce((result, octet) => result * 256 + parseInt(octet, 10), 0);
+
+const inIpv4Range = (address, [first, prefix]) => {
+  const size = Math.pow(2, 32 - prefix);
+  return Math.floor(ipv4ToNumber(address) / size) === Math.floor(ipv4ToNumber(first) / size);
+};
+
+// Expands an IPv6 address to its eight 16-bit groups; embedded IPv4 becomes the last two
+const ipv6Groups = (address) => {
+  let text = address.split('%')[0].toLowerCase();
+  const ipv4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4) {
+    const value = ipv4ToNumber(ipv4[1]);
+    text = text.slice(0, -ipv4[1].length) + `${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...new Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+};
+
+const groupsToIpv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    return BLOCKED_IPV4.some(range => inIpv4Range(address, range));
+  }
+  if (!net.isIPv6(address)) return true;
+
+  const groups = ipv6Groups(address);
+  const [first] = groups;
+
+  // ::ffff:a.b.c.d (mapped) and ::a.b.c.d (compatible) are checked as IPv4
+  if (groups.slice(0, 5).every(group => group === 0) && [0, 0xffff].includes(groups[5])) {
+    if (groups[5] === 0 && groups[6] === 0) return true; // :: and ::1
+    return isPrivateAddress(groupsToIpv4(groups[6], groups[7]));
+  }
+
+  return (first & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+    (first & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+    (first & 0xffc0) === 0xfec0 || // fec0::/10 site-local (deprecated)
+    (first & 0xff00) === 0xff00 || // ff00::/8 multicast
+    (first === 0x2001 && groups[1] === 0x0db8); // 2001:db8::/32 documentation
+};
+
+module.exports = {
+  isPrivateAddress
+};
\ No newline at end of file
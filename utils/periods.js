@@ -0,0 +1,86 @@
+// Time buckets shared by the report endpoints. Keys match MongoDB's $dateToString
+// output for the same format so aggregation results can be joined with listPeriods().
+
+const INTERVALS = ['day', 'week', 'month'];
+
+const DATE_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const INTERVAL_DAYS = {
+  day: 1,
+  week: 7,
+  month: 30
+};
+
+// Keeps reports (and their zero-filled buckets) bounded
+const MAX_PERIODS = 400;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ISO 8601 week: weeks start on Monday and week 1 contains the first Thursday
+const isoWeek = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return { year: day.getUTCFullYear(), week };
+};
+
+const periodKey = (date, interval) => {
+  if (interval === 'month') return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+  if (interval === 'week') {
+    const { year, week } = isoWeek(date);
+    return `${year}-W${pad(week)}`;
+  }
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// Every bucket key between from and to (inclusive), in order
+const listPeriods = (from, to, interval) => {
+  const keys = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  while (cursor <= to) {
+    const key = periodKey(cursor, interval);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return keys;
+};
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const endOfUtcDay = (date) => new Date(startOfUtcDay(date).getTime() + 86400000 - 1);
+
+// Parses ?from=&to=&interval= shared by the reports; pushes messages into `errors`
+const parseRange = (query, errors, { defaultDays = 90, defaultInterval = 'week' } = {}) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * 86400000);
+  const interval = query.interval || defaultInterval;
+
+  if (Number.isNaN(from.getTime())) errors.push('from must be a valid date');
+  if (Number.isNaN(to.getTime())) errors.push('to must be a valid date');
+  if (!Number.isNaN(from.getTime()) && !Number.isNaN(to.getTime()) && from > to) {
+    errors.push('from must be before to');
+  }
+  if (!INTERVALS.includes(interval)) {
+    errors.push(`interval must be one of: ${INTERVALS.join(', ')}`);
+  } else if ((to - from) / 86400000 / INTERVAL_DAYS[interval] > MAX_PERIODS) {
+    errors.push(`The range cannot span more than ${MAX_PERIODS} ${interval}s`);
+  }
+
+  return { from: startOfUtcDay(from), to: endOfUtcDay(to), interval };
+};
+
+module.exports = {
+  INTERVALS,
+  DATE_FORMATS,
+  periodKey,
+  listPeriods,
+  parseRange
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+// Central authorization policy for projects and their tasks.
+// Controllers must ask this module instead of comparing owner/member ids inline.
+
+const PROJECT_ROLES = ['owner', 'maintainer', 'contributor', 'viewer'];
+
+// Roles that can be stored on a membership (the owner lives in Project.owner)
+const MEMBER_ROLES = ['maintainer', 'contributor', 'viewer'];
+
+const ROLE_RANK = {
+  viewer: 1,
+  contributor: 2,
+  maintainer: 3,
+  owner: 4
+};
+
+// Minimum role required for each action
+const ACTIONS = {
+  'project:view': 'viewer',
+  'project:update': 'owner',
+  'project:delete': 'owner',
+  'project:manageMembers': 'maintainer',
+  'project:manageWorkflow': 'maintainer',
+  'project:manageLabels': 'maintainer',
+  'project:manageFields': 'owner',
+  'project:manageWebhooks': 'owner',
+  'task:view': 'viewer',
+  'task:create': 'contributor',
+  'task:update': 'contributor',
+  'task:delete': 'maintainer',
+  'task:forceTransition': 'maintainer',
+  'task:comment': 'contributor',
+  'comment:moderate': 'owner'
+};
+
+const toId = (value) => {
+  if (!value) return null;
+  if (value._id) return value._id.toString();
+  return value.toString();
+};
+
+const getProjectRole = (project, user) => {
+  const userId = toId(user);
+  if (!project || !userId) return null;
+
+  if (toId(project.owner) === userId) return 'owner';
+
+  const membership = (project.members || []).find(member => toId(member.user) === userId);
+  return membership ? membership.role : null;
+};
+
+const hasRole = (role, requiredRole) => {
+  if (!role) return false;
+  return ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+};
+
+const can = (project, user, action) => {
+  const requiredRole = ACTIONS[action];
+  if (!requiredRole) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  return hasRole(getProjectRole(project, user), requiredRole);
+};
+
+// Maintainers manage contributors and viewers; only the owner can grant or revoke maintainer
+const canManageMember = (project, user, role) => {
+  if (!can(project, user, 'project:manageMembers')) return false;
+  if (role === 'maintainer') return getProjectRole(project, user) === 'owner';
+  return true;
+};
+
+// Archived projects are read-only for everyone until the owner unarchives them
+const isArchived = (project) => Boolean(project && project.status === 'archived');
+
+module.exports = {
+  PROJECT_ROLES,
+  MEMBER_ROLES,
+  getProjectRole,
+  hasRole,
+  can,
+  canManageMember,
+  isArchived
+};
\ No newline at end of file
@@ -0,0 +1,195 @@
+// Recurrence rules for repeating tasks: a subset of RFC 5545 RRULE
+// (FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT) evaluated in UTC.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL = 365;
+
+const toWeekday = (value) => {
+  const text = String(value).trim().toLowerCase();
+  const index = WEEKDAY_NAMES.findIndex(name => name === text || name.slice(0, 2) === text || name.slice(0, 3) === text);
+  return index === -1 ? null : WEEKDAYS[index];
+};
+
+// 20261231, 20261231T000000Z or any date string Date understands
+const parseRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(String(value));
+  const date = match
+    ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// "RRULE:FREQ=WEEKLY;BYDAY=MO,WE" -> { frequency: 'weekly', weekdays: ['MO', 'WE'] }
+const fromRRule = (text, errors) => {
+  const fields = {};
+  String(text).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [name, value] = part.split('=');
+    fields[name.trim().toUpperCase()] = value === undefined ? '' : value.trim();
+  });
+
+  const unsupported = Object.keys(fields).filter(name => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT'].includes(name));
+  if (unsupported.length) errors.push(`Unsupported recurrence rule parts: ${unsupported.join(', ')}`);
+
+  return {
+    frequency: fields.FREQ && fields.FREQ.toLowerCase(),
+    interval: fields.INTERVAL,
+    weekdays: fields.BYDAY ? fields.BYDAY.split(',') : undefined,
+    monthDay: fields.BYMONTHDAY,
+    until: fields.UNTIL,
+    count: fields.COUNT
+  };
+};
+
+// Normalizes an RRULE string or { frequency, interval, weekdays, monthDay, until, count };
+// null or empty input means no recurrence. Validation messages are pushed to `errors`
+const parseRecurrence = (input, errors) => {
+  if (input === null || input === undefined || input === '') return null;
+
+  const raw = typeof input === 'string' ? fromRRule(input, errors) : input;
+  if (!raw || typeof raw !== 'object') {
+    errors.push('recurrence must be an RRULE string or an object');
+    return null;
+  }
+
+  const rule = {
+    frequency: String(raw.frequency || '').toLowerCase(),
+    interval: raw.interval === undefined || raw.interval === '' ? 1 : Number(raw.interval),
+    weekdays: [],
+    monthDay: null,
+    until: null,
+    count: null
+  };
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+    errors.push(`recurrence interval must be an integer between 1 and ${MAX_INTERVAL}`);
+  }
+
+  if (raw.weekdays !== undefined && raw.weekdays !== null) {
+    const weekdays = Array.isArray(raw.weekdays) ? raw.weekdays : String(raw.weekdays).split(',');
+    rule.weekdays = [...new Set(weekdays.map(toWeekday))];
+    if (rule.weekdays.includes(null)) errors.push('recurrence weekdays must be days like MO, TU or monday');
+    else if (rule.weekdays.length && rule.frequency !== 'weekly') errors.push('recurrence weekdays only apply to weekly rules');
+    rule.weekdays.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  }
+
+  if (raw.monthDay !== undefined && raw.monthDay !== null && raw.monthDay !== '') {
+    rule.monthDay = Number(raw.monthDay);
+    if (!Number.isInteger(rule.monthDay) || rule.monthDay < 1 || rule.monthDay > 31) {
+      errors.push('recurrence monthDay must be an integer between 1 and 31');
+    } else if (rule.frequency !== 'monthly') {
+      errors.push('recurrence monthDay only applies to monthly rules');
+    }
+  }
+
+  if (raw.until) {
+    rule.until = parseRuleDate(raw.until);
+    if (!rule.until) errors.push(`Invalid recurrence until date: ${raw.until}`);
+  }
+
+  if (raw.count !== undefined && raw.count !== null && raw.count !== '') {
+    rule.count = Number(raw.count);
+    if (!Number.isInteger(rule.count) || rule.count < 1) errors.push('recurrence count must be a positive integer');
+  }
+
+  if (rule.until && rule.count) errors.push('recurrence cannot have both until and count');
+
+  return rule;
+};
+
+const toRRule = (rule) => {
+  if (!rule || !rule.frequency) return null;
+
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.weekdays && rule.weekdays.length) parts.push(`BYDAY=${rule.weekdays.join(',')}`);
+  if (rule.monthDay) parts.push(`BYMONTHDAY=${rule.monthDay}`);
+  if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same time of day, `months` later, on `day` (or the last day of shorter months)
+const addMonths = (date, months, day = date.getUTCDate()) => {
+  const target = new Date(date);
+  target.setUTCDate(1);
+  target.setUTCMonth(target.getUTCMonth() + months);
+  target.setUTCDate(Math.min(day, daysInMonth(target.getUTCFullYear(), target.getUTCMonth())));
+  return target;
+};
+
+// Weeks start on Monday, like RRULE's default WKST
+const startOfWeek = (date) => {
+  const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return start - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+};
+
+// First occurrence strictly after `from`; weekly intervals count weeks from `from`'s week
+const nextDate = (rule, from) => {
+  const base = new Date(from);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(base.getTime() + rule.interval * DAY_MS);
+
+    case 'weekly': {
+      if (!rule.weekdays || !rule.weekdays.length) {
+        return new Date(base.getTime() + rule.interval * 7 * DAY_MS);
+      }
+      const anchorWeek = startOfWeek(base);
+      for (let offset = 1; offset <= 7 * rule.interval; offset += 1) {
+        const candidate = new Date(base.getTime() + offset * DAY_MS);
+        const week = Math.round((startOfWeek(candidate) - anchorWeek) / (7 * DAY_MS));
+        if (week % rule.interval === 0 && rule.weekdays.includes(WEEKDAYS[candidate.getUTCDay()])) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+
+    case 'monthly':
+      return addMonths(base, rule.interval, rule.monthDay || base.getUTCDate());
+
+    case 'yearly':
+      return addMonths(base, 12 * rule.interval);
+
+    default:
+      return null;
+  }
+};
+
+// { dueDate, occurrence } of the occurrence after the one due at `from`, or null once the series ends.
+// Occurrences not after `notBefore` are skipped so a neglected series does not pile up overdue copies
+const nextOccurrence = (rule, from, occurrence = 1, notBefore = null) => {
+  let dueDate = new Date(from);
+  let number = occurrence;
+
+  do {
+    dueDate = nextDate(rule, dueDate);
+    number += 1;
+
+    if (!dueDate) return null;
+    if (rule.until && dueDate > rule.until) return null;
+    if (rule.count && number > rule.count) return null;
+  } while (notBefore && dueDate <= notBefore);
+
+  return { dueDate, occurrence: number };
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  parseRecurrence,
+  toRRule,
+  nextDate,
+  nextOccurrence
+};
\ No newline at end of file
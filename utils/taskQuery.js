@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const { findFieldByKey, parseCustomFieldFilters } = require('./customFields');
+
+const SORTABLE_FIELDS = ['title', 'status', 'priority', 'rank', 'dueDate', 'createdAt', 'updatedAt'];
+
+// Sort keys stored under another path; priority sorts low < medium < high, not alphabetically
+const SORT_PATHS = {
+  priority: 'priorityRank'
+};
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value, field, errors) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`Invalid date for ${field}`);
+    return null;
+  }
+  return date;
+};
+
+const parseFilter = (query, user, customFields, errors) => {
+  const filter = {};
+
+  if (query.project) {
+    if (!mongoose.Types.ObjectId.isValid(query.project)) {
+      errors.push(`Invalid project id: ${query.project}`);
+    }
+    filter.project = query.project;
+  }
+
+  // parent accepts a task id or `none` (top-level tasks only)
+  if (query.parent) {
+    if (query.parent === 'none') {
+      filter.parent = null;
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(query.parent)) {
+        errors.push(`Invalid parent task id: ${query.parent}`);
+      }
+      filter.parent = query.parent;
+    }
+  }
+
+  const statuses = toList(query.status);
+  if (statuses.length) filter.status = { $in: statuses };
+
+  const categories = toList(query.statusCategory);
+  if (categories.length) filter.statusCategory = { $in: categories };
+
+  const priorities = toList(query.priority);
+  if (priorities.length) filter.priority = { $in: priorities };
+
+  // assignedTo accepts user ids, `me` and `none` (unassigned)
+  const assignees = toList(query.assignedTo);
+  if (assignees.length) {
+    const ids = assignees.map(assignee => {
+      if (assignee === 'me') return user._id;
+      if (assignee === 'none') return null;
+      if (!mongoose.Types.ObjectId.isValid(assignee)) {
+        errors.push(`Invalid assignee id: ${assignee}`);
+      }
+      return assignee;
+    });
+    filter.assignedTo = { $in: ids };
+  }
+
+  if (query.dueFrom || query.dueTo) {
+    filter.dueDate = {};
+    if (query.dueFrom) filter.dueDate.$gte = parseDate(query.dueFrom, 'dueFrom', errors);
+    if (query.dueTo) filter.dueDate.$lte = parseDate(query.dueTo, 'dueTo', errors);
+  }
+
+  // labels=<id>,<id> matches tasks with any of them, or all of them with labelMatch=all
+  const labels = toList(query.labels);
+  if (labels.length) {
+    labels.filter(label => !mongoose.Types.ObjectId.isValid(label))
+      .forEach(label => errors.push(`Invalid label id: ${label}`));
+
+    const match = query.labelMatch || 'any';
+    if (!['any', 'all'].includes(match)) errors.push('labelMatch must be one of: any, all');
+    filter.labels = match === 'all' ? { $all: labels } : { $in: labels };
+  }
+
+  // cf[key]=value filters on the project's custom fields
+  if (query.cf !== undefined) {
+    if (customFields) {
+      Object.assign(filter, parseCustomFieldFilters(customFields, query.cf, errors));
+    } else {
+      errors.push('Custom field filters are only available within a project');
+    }
+  }
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q)), 'i');
+    filter.$or = [{ title: pattern }, { description: pattern }];
+  }
+
+  return filter;
+};
+
+// `sort=-dueDate,title` sorts by dueDate descending, then title ascending.
+// Custom fields sort as `cf.<key>`; tasks without a value come first in ascending order
+const parseSort = (value, customFields, errors) => {
+  const fields = toList(value);
+  const sort = {};
+
+  fields.forEach(field => {
+    const direction = field.startsWith('-') ? -1 : 1;
+    const name = field.replace(/^[-+]/, '');
+
+    if (name.startsWith('cf.')) {
+      const key = name.slice(3);
+      if (!customFields) {
+        errors.push('Sorting by custom fields is only available within a project');
+      } else if (!findFieldByKey(customFields, key)) {
+        errors.push(`Unknown custom field: ${key}`);
+      } else {
+        sort[`customFields.${key}`] = direction;
+      }
+      return;
+    }
+
+    if (!SORTABLE_FIELDS.includes(name)) {
+      errors.push(`Cannot sort by ${name}. Sortable fields: ${SORTABLE_FIELDS.join(', ')}`);
+      return;
+    }
+    sort[SORT_PATHS[name] || name] = direction;
+  });
+
+  if (!Object.keys(sort).length) sort.createdAt = -1;
+
+  // Tie-breaker so pages stay stable when sort values repeat
+  sort._id = sort._id || -1;
+  return sort;
+};
+
+const parsePagination = (query, errors) => {
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+
+  if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Translates the list query string into a Mongo filter, sort and pagination.
+// `customFields` (the project's field definitions) enables cf filters and sorting
+const parseTaskQuery = (query, user, { customFields } = {}) => {
+  const errors = [];
+
+  return {
+    filter: parseFilter(query, user, customFields, errors),
+    sort: parseSort(query.sort, customFields, errors),
+    pagination: parsePagination(query, errors),
+    errors
+  };
+};
+
+const buildPagination = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+module.exports = {
+  SORTABLE_FIELDS,
+  toList,
+  escapeRegex,
+  parseTaskQuery,
+  parsePagination,
+  buildPagination
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const STREAM_TOKEN_EXPIRES_IN = process.env.STREAM_TOKEN_EXPIRES_IN || '1m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const USER_TOKEN_TTL_MINUTES = {
+  email_verification: 24 * 60,
+  password_reset: 60
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// `tv` ties the access token to the user's current token version so it can be revoked
+const generateAccessToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Short-lived token that only opens the event stream of one project, for EventSource
+// clients that must pass it in the URL. `sx` carries the expiry of the access token it
+// was issued from, so the stream still closes when that session would have expired
+const generateStreamToken = (user, projectId, sessionExpiresAt) => {
+  return jwt.sign({
+    id: user._id,
+    tv: user.tokenVersion || 0,
+    scope: 'stream',
+    project: projectId.toString(),
+    ...(sessionExpiresAt && { sx: Math.floor(sessionExpiresAt.getTime() / 1000) })
+  }, process.env.JWT_SECRET, {
+    expiresIn: STREAM_TOKEN_EXPIRES_IN
+  });
+};
+
+// Only the hash is persisted; the raw token is returned to the client once
+const createRefreshToken = async (user, req) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  const refreshToken = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined
+  });
+
+  return { token, refreshToken };
+};
+
+const issueTokens = async (user, req) => {
+  const { token } = await createRefreshToken(user, req);
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken: token
+  };
+};
+
+const findRefreshToken = (token) => {
+  return RefreshToken.findOne({ tokenHash: hashToken(token) });
+};
+
+// Revokes the token in the same query that checks it is still active, so concurrent
+// refreshes with one token cannot both rotate it
+const claimRefreshToken = (token) => {
+  return RefreshToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Revokes every refresh token and invalidates every access token already issued to the user
+const revokeUserSessions = async (userId) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Issuing a new token discards the pending ones of the same type
+const createUserToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.deleteMany({ user: userId, type, usedAt: null });
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + USER_TOKEN_TTL_MINUTES[type] * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Marks the token as used in the same query that validates it, so it can only be consumed once
+const consumeUserToken = (token, type) => {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Replaces the user's calendar feed token, so feed URLs shared before stop working
+const createCalendarToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { calendarTokenHash: hashToken(token), calendarTokenCreatedAt: new Date() } }
+  );
+
+  return token;
+};
+
+const revokeCalendarToken = (userId) => {
+  return User.updateOne(
+    { _id: userId },
+    { $unset: { calendarTokenHash: 1, calendarTokenCreatedAt: 1 } }
+  );
+};
+
+const findUserByCalendarToken = (token) => {
+  return User.findOne({ calendarTokenHash: hashToken(token), deletedAt: null });
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateStreamToken,
+  createRefreshToken,
+  issueTokens,
+  findRefreshToken,
+  claimRefreshToken,
+  revokeUserSessions,
+  createUserToken,
+  consumeUserToken,
+  createCalendarToken,
+  revokeCalendarToken,
+  findUserByCalendarToken
+};
\ No newline at end of file
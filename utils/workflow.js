@@ -0,0 +1,120 @@
+// Per-project workflow: an ordered list of statuses, each in one of the fixed
+// categories, plus the allowed transitions between them (none listed = any).
+
+const STATUS_CATEGORIES = ['todo', 'in_progress', 'done'];
+
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'pending', name: 'Pendiente', category: 'todo' },
+    { key: 'in_progress', name: 'En progreso', category: 'in_progress' },
+    { key: 'completed', name: 'Completada', category: 'done' }
+  ],
+  transitions: [],
+  initialStatus: 'pending'
+};
+
+const STATUS_KEY_PATTERN = /^[a-z0-9_]{1,40}$/;
+
+const defaultStatuses = () => DEFAULT_WORKFLOW.statuses.map(status => ({ ...status }));
+
+const getWorkflow = (project) => {
+  const workflow = project && project.workflow;
+  if (!workflow || !workflow.statuses || !workflow.statuses.length) return DEFAULT_WORKFLOW;
+  return workflow;
+};
+
+const findStatus = (workflow, key) => {
+  return workflow.statuses.find(status => status.key === key) || null;
+};
+
+const getInitialStatus = (workflow) => {
+  return findStatus(workflow, workflow.initialStatus) || workflow.statuses[0];
+};
+
+const getCategory = (workflow, key) => {
+  const status = findStatus(workflow, key);
+  return status ? status.category : null;
+};
+
+const canTransition = (workflow, from, to) => {
+  if (from === to) return true;
+  if (!workflow.transitions || !workflow.transitions.length) return true;
+  return workflow.transitions.some(transition => transition.from === from && transition.to === to);
+};
+
+const allowedTransitions = (workflow, from) => {
+  if (!workflow.transitions || !workflow.transitions.length) {
+    return workflow.statuses.map(status => status.key).filter(key => key !== from);
+  }
+  return workflow.transitions.filter(transition => transition.from === from).map(transition => transition.to);
+};
+
+// Resolves a requested status change to { status } or explains why it is rejected with { error }
+const checkTransition = (workflow, from, to) => {
+  const status = findStatus(workflow, to);
+
+  if (!status) {
+    return { error: `Unknown status: ${to}. Allowed: ${workflow.statuses.map(s => s.key).join(', ')}` };
+  }
+  if (!canTransition(workflow, from, to)) {
+    return { error: `Transition from ${from} to ${to} is not allowed by the project workflow` };
+  }
+  return { status };
+};
+
+// Returns a list of problems with a workflow definition sent by a client
+const validateWorkflow = ({ statuses, transitions = [], initialStatus }) => {
+  const errors = [];
+
+  if (!Array.isArray(statuses) || !statuses.length) {
+    return ['Workflow must define at least one status'];
+  }
+
+  const keys = new Set();
+  statuses.forEach((status, index) => {
+    if (!status || !STATUS_KEY_PATTERN.test(status.key || '')) {
+      errors.push(`Status #${index + 1} needs a key made of lowercase letters, digits or underscores`);
+      return;
+    }
+    if (keys.has(status.key)) errors.push(`Duplicated status key: ${status.key}`);
+    if (!status.name) errors.push(`Status ${status.key} needs a name`);
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      errors.push(`Status ${status.key} has an invalid category. Allowed: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+    keys.add(status.key);
+  });
+
+  if (!statuses.some(status => status.category === 'done')) {
+    errors.push('Workflow needs at least one status in the done category');
+  }
+
+  if (!Array.isArray(transitions)) {
+    errors.push('Transitions must be an array');
+  } else {
+    transitions.forEach(transition => {
+      if (!transition || !keys.has(transition.from) || !keys.has(transition.to)) {
+        errors.push(`Invalid transition: ${JSON.stringify(transition)}`);
+      }
+    });
+  }
+
+  if (initialStatus && !keys.has(initialStatus)) {
+    errors.push(`Unknown initial status: ${initialStatus}`);
+  }
+
+  return errors;
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  defaultStatuses,
+  getWorkflow,
+  findStatus,
+  getInitialStatus,
+  getCategory,
+  canTransition,
+  allowedTransitions,
+  checkTransition,
+  validateWorkflow
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Standalone background worker: runs the scheduled jobs outside the API process.
+// Start the API with RUN_SCHEDULER=false when a worker is running.
+//
+// Usage: npm run worker
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('./config/database');
+const { checkMailConfig } = require('./services/mailer');
+const webhooks = require('./services/webhooks');
+const scheduler = require('./services/scheduler');
+require('./services/jobs');
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping worker`);
+  scheduler.stop();
+  await scheduler.drain();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+const run = async () => {
+  checkMailConfig();
+  await connectDB();
+
+  // Events published by jobs (e.g. new recurring tasks) still reach webhooks;
+  // clients connected to the API's event streams do not see them
+  webhooks.init();
+
+  scheduler.start({ keepAlive: true, runNow: true });
+  console.log(`Worker running jobs: ${scheduler.listJobs().map(job => job.name).join(', ')}`);
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+run().catch(error => {
+  console.error('Worker failed to start:', error);
+  process.exit(1);
+});
\ No newline at end of file